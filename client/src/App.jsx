@@ -3,12 +3,25 @@ import io from "socket.io-client";
 import YouTube from "react-youtube";
 import { dictionaries, getInitialLang } from "./i18n.js";
 import CustomSelect from "./components/CustomSelect.jsx";
+import TeamsPanel from "./components/TeamsPanel.jsx";
+import QuizBuilder from "./components/QuizBuilder.jsx";
 import { auth, googleProvider } from "./firebase.js";
 import { signInWithPopup, signOut, onAuthStateChanged } from "firebase/auth";
 
 const SERVER_URL = import.meta.env.VITE_SERVER_URL || "http://localhost:4000";
 const socket = io(SERVER_URL, { transports: ["websocket"] });
 
+// Decade buttons in year rounds, 1950s up to the current one
+const DECADES = Array.from(
+  { length: Math.floor(new Date().getFullYear() / 10) - 194 },
+  (_, i) => 1950 + i * 10,
+);
+
+// Uploaded audio and covers are served by our server under relative URLs
+function mediaUrl(url) {
+  return url?.startsWith("/") ? `${SERVER_URL}${url}` : url;
+}
+
 function useSocketEvent(event, handler) {
   const handlerRef = useRef(handler);
   useEffect(() => {
@@ -36,6 +49,45 @@ function Section({ title, children, toolbar }) {
   );
 }
 
+// Identifies a guest across reconnects and reloads (see server/players.js)
+function getGuestId() {
+  let id = localStorage.getItem("guestId");
+  if (!id) {
+    id =
+      crypto.randomUUID?.() ||
+      Math.random().toString(36).slice(2) + Date.now().toString(36);
+    localStorage.setItem("guestId", id);
+  }
+  return id;
+}
+
+// Per-part verdict of a checked answer: correct, close ("you're close") or wrong
+function MatchFeedback({ dict, artist, title, artistClose, titleClose }) {
+  const part = (ok, close, labels) => (
+    <span
+      style={{
+        color: ok ? "#48bb78" : close ? "#ecc94b" : "#f56565",
+        marginRight: 12,
+      }}>
+      {ok ? labels[0] : close ? labels[1] : labels[2]}
+    </span>
+  );
+  return (
+    <>
+      {part(artist, artistClose, [
+        dict.artistOk,
+        dict.artistClose,
+        dict.artistError,
+      ])}
+      {part(title, titleClose, [
+        dict.titleOk,
+        dict.titleClose,
+        dict.titleError,
+      ])}
+    </>
+  );
+}
+
 export default function App() {
   // ===== i18n =====
   const [lang, setLang] = useState(getInitialLang());
@@ -68,18 +120,44 @@ export default function App() {
 
   // ===== Playlist (host) =====
   const [playlistUrl, setPlaylistUrl] = useState("");
+  const [playlistWeight, setPlaylistWeight] = useState(1);
+  const [extraSources, setExtraSources] = useState([]); // [{ url, weight }] mixed into the game
   const [songCount, setSongCount] = useState(20);
   const [parsed, setParsed] = useState(null);
+  // Latest background resolution report, may arrive before the parse response
+  const [resolveProgress, setResolveProgress] = useState(null);
   const [loadingPlaylist, setLoadingPlaylist] = useState(false);
   const [playlistHistory, setPlaylistHistory] = useState([]);
 
   // ===== Round =====
   const [round, setRound] = useState(null);
   const [guess, setGuess] = useState("");
+  const [splitFields, setSplitFields] = useState(false); // separate artist/title inputs
+  const [guessArtist, setGuessArtist] = useState("");
+  const [guessTitle, setGuessTitle] = useState("");
+  const [guessFeedback, setGuessFeedback] = useState(null); // { artist, title, artistClose, titleClose }
   const [lastResult, setLastResult] = useState(null);
+  const [guessLog, setGuessLog] = useState(null); // host: guesses of the last round, for review
+  const [myPick, setMyPick] = useState(null); // choice mode: locked-in option index
+  const [yearInput, setYearInput] = useState("");
+  const [myYear, setMyYear] = useState(null); // year round: locked-in guess
+  const [roundDuration, setRoundDuration] = useState(30); // seconds, 0 = no limit
+  const [deadline, setDeadline] = useState(null); // local timestamp when the round ends
+  const [timeLeft, setTimeLeft] = useState(null); // ms, null = no timer
 
   // ===== Game mode =====
-  const [gameType, setGameType] = useState("text"); // "text" | "buzzer"
+  const [gameType, setGameType] = useState("text"); // "text" | "buzzer" | "choice" | "elimination" | "year"
+  const [yearGuess, setYearGuess] = useState("year"); // "year" | "decade"
+  const [yearBonusEvery, setYearBonusEvery] = useState(0); // 0 = no bonus year rounds
+  const [matchProfile, setMatchProfile] = useState("normal"); // "lenient" | "normal" | "strict"
+  const [lives, setLives] = useState(3); // elimination mode
+  const [scoring, setScoring] = useState("flat"); // "flat" | "speed"
+  const [solveMode, setSolveMode] = useState("first"); // "first" | "everyone"
+  const [progressiveHints, setProgressiveHints] = useState(true);
+  const [snippetStart, setSnippetStart] = useState("start"); // "start" | "random" | "chorus"
+  const [introChallenge, setIntroChallenge] = useState(false);
+  const [freshOnly, setFreshOnly] = useState(false);
+  const [seed, setSeed] = useState("");
   const [firstBuzz, setFirstBuzz] = useState(null);
   const [buzzQueue, setBuzzQueue] = useState([]);
 
@@ -95,6 +173,8 @@ export default function App() {
   // ===== Players (media refs) =====
   const audioRef = useRef(null);
   const ytRef = useRef(null);
+  // Set once an intro clip reached its end, so state syncs don't resume it
+  const clipDoneRef = useRef(false);
 
   // ===== Volume / mute =====
   const [volume, setVolume] = useState(() => {
@@ -123,6 +203,62 @@ export default function App() {
     player.setVolume(muted ? 0 : volume);
   }, [volume, muted]);
 
+  // ===== Round timer =====
+  // Server sends the remaining time, we only count down locally between updates
+  function syncClock(timeRemaining, paused) {
+    if (timeRemaining == null) {
+      setDeadline(null);
+      setTimeLeft(null);
+    } else if (paused) {
+      setDeadline(null);
+      setTimeLeft(timeRemaining);
+    } else {
+      setDeadline(Date.now() + timeRemaining);
+      setTimeLeft(timeRemaining);
+    }
+  }
+
+  useEffect(() => {
+    if (!deadline) return;
+    const id = setInterval(() => {
+      setTimeLeft(Math.max(0, deadline - Date.now()));
+    }, 250);
+    return () => clearInterval(id);
+  }, [deadline]);
+
+  // ===== Clip length (intro challenge) =====
+  // Playback stops at endAt, the host can extend the clip
+  const clipEndAt = round?.playback?.endAt;
+  useEffect(() => {
+    if (clipEndAt == null) return;
+    const id = setInterval(() => {
+      const audio = audioRef.current;
+      if (audio && !audio.paused && audio.currentTime >= clipEndAt) {
+        audio.pause();
+        clipDoneRef.current = true;
+      }
+      const player = ytRef.current?.internalPlayer || ytRef.current;
+      if (player?.getCurrentTime && player.getCurrentTime() >= clipEndAt) {
+        player.pauseVideo();
+        clipDoneRef.current = true;
+      }
+    }, 100);
+    return () => clearInterval(id);
+  }, [clipEndAt]);
+
+  function replayClip(startAt = 0) {
+    clipDoneRef.current = false;
+    if (audioRef.current) {
+      audioRef.current.currentTime = startAt;
+      audioRef.current.play().catch(() => {});
+    }
+    const player = ytRef.current?.internalPlayer || ytRef.current;
+    if (player?.seekTo) {
+      player.seekTo(startAt, true);
+      player.playVideo();
+    }
+  }
+
   // ===== Sockets =====
   useSocketEvent("roomState", (payload) => {
     setRoomState(payload);
@@ -148,12 +284,14 @@ export default function App() {
           setRound(cur);
         }
 
+        syncClock(cur.timeRemaining, cur.paused);
+
         // Sync local playback with current paused state
         if (cur.paused) {
           if (audioRef.current) audioRef.current.pause();
           const player = ytRef.current?.internalPlayer || ytRef.current;
           if (player?.pauseVideo) player.pauseVideo();
-        } else {
+        } else if (!clipDoneRef.current) {
           // If not paused, ensure it's playing (if we have a round)
           if (audioRef.current && audioRef.current.paused) {
             audioRef.current.play().catch(() => {});
@@ -177,6 +315,7 @@ export default function App() {
         }
       } else if (round) {
         setRound(null);
+        syncClock(null);
       }
     } else {
       // Game not started (lobby)
@@ -197,20 +336,29 @@ export default function App() {
 
   useSocketEvent("roundStart", (payload) => {
     setLastResult(null);
+    setGuessLog(null);
     setRound(payload);
+    syncClock(payload.timeRemaining, payload.paused);
     setGuess("");
+    setGuessArtist("");
+    setGuessTitle("");
+    setGuessFeedback(null);
+    setMyPick(null);
+    setYearInput("");
+    setMyYear(null);
     setFirstBuzz(null);
     setBuzzQueue([]);
     setHostArtist("");
     setHostTitle("");
     setVerifyStatus(null);
+    clipDoneRef.current = false;
     if (
       payload.playback?.type === "audio" &&
       audioRef.current &&
       !payload.paused
     ) {
       setTimeout(() => {
-        audioRef.current.currentTime = 0;
+        audioRef.current.currentTime = payload.playback.startAt || 0;
         audioRef.current.volume = muted ? 0 : volume / 100;
         audioRef.current.play().catch(() => {});
       }, 40);
@@ -220,12 +368,19 @@ export default function App() {
   useSocketEvent("gameOver", (payload) => {
     setLastResult(null);
     setRound(null);
+    syncClock(null);
     setStage("gameOver");
-    setRoomState((prev) => ({ ...prev, players: payload.scores }));
+    setRoomState((prev) => ({
+      ...prev,
+      players: payload.scores,
+      teams: payload.teamScores || [],
+      survivors: payload.survivors || null,
+    }));
   });
 
   useSocketEvent("roundEnd", (payload) => {
     setLastResult(payload);
+    syncClock(null);
     setFirstBuzz(null);
     setBuzzQueue([]);
     if (audioRef.current) audioRef.current.pause();
@@ -241,11 +396,32 @@ export default function App() {
   });
 
   useSocketEvent("resumePlayback", () => {
+    if (clipDoneRef.current) return;
     if (audioRef.current) audioRef.current.play().catch(() => {});
     const player = ytRef.current?.internalPlayer || ytRef.current;
     if (player?.playVideo) player.playVideo();
   });
 
+  useSocketEvent("introExtended", (payload) => {
+    setRound((prev) =>
+      prev
+        ? {
+            ...prev,
+            playback: payload.playback,
+            intro: { stage: payload.stage },
+          }
+        : prev,
+    );
+    if (!roomState?.currentRound?.paused) replayClip(payload.playback.startAt);
+  });
+
+  useSocketEvent("resolveProgress", setResolveProgress);
+  useSocketEvent("guessLog", (payload) => setGuessLog(payload.entries));
+
+  useSocketEvent("hintUpdate", (payload) => {
+    setRound((prev) => (prev ? { ...prev, hint: payload.hint } : prev));
+  });
+
   useSocketEvent("chat", (msg) => setChatLog((prev) => [...prev, msg]));
   useSocketEvent("kicked", (payload) => {
     alert(payload.message || dict.kickedMessage);
@@ -284,6 +460,8 @@ export default function App() {
     setParsed(null);
     setRound(null);
     setLastResult(null);
+    setGuessLog(null);
+    syncClock(null);
     setFirstBuzz(null);
     setBuzzQueue([]);
     if (audioRef.current) audioRef.current.pause();
@@ -301,7 +479,11 @@ export default function App() {
       setName(finalName);
 
       const token = user ? await user.getIdToken() : null;
-      socket.emit("joinRoom", { code, name: finalName, token }, () => {});
+      socket.emit(
+        "joinRoom",
+        { code, name: finalName, token, guestId: getGuestId() },
+        () => {},
+      );
     });
   }
 
@@ -327,7 +509,12 @@ export default function App() {
     const token = user ? await user.getIdToken() : null;
     socket.emit(
       "joinRoom",
-      { code: roomCode.toUpperCase(), name: finalName, token },
+      {
+        code: roomCode.toUpperCase(),
+        name: finalName,
+        token,
+        guestId: getGuestId(),
+      },
       (resp) => {
         if (resp?.error) return alert(resp.error);
         setChatLog([]);
@@ -342,6 +529,18 @@ export default function App() {
     );
   }
 
+  const resolving =
+    resolveProgress?.resolveId === parsed?.resolving?.resolveId
+      ? resolveProgress
+      : parsed?.resolving;
+
+  // Tracks that weren't found on YouTube, replaced by the server's spares
+  const withSwaps = (tracks, swaps = []) =>
+    tracks.map((t) => swaps.find((s) => s.out === t.id)?.track || t);
+
+  // Sent with every playlist load: the room's recently played songs and the seed
+  const loadOptions = { code: roomCode, freshOnly, seed };
+
   async function parsePlaylist(overrideUrl = null) {
     const urlToUse =
       typeof overrideUrl === "string" ? overrideUrl : playlistUrl;
@@ -349,10 +548,18 @@ export default function App() {
     try {
       setLoadingPlaylist(true);
       const token = user ? await user.getIdToken() : null;
+      // History picks load a single playlist
+      const extras =
+        typeof overrideUrl === "string"
+          ? []
+          : extraSources.filter((src) => src.url.trim());
+      const sources = extras.length
+        ? { urls: [{ url: urlToUse, weight: playlistWeight }, ...extras] }
+        : { url: urlToUse };
       const r = await fetch(`${SERVER_URL}/api/parse-playlist`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ url: urlToUse, songCount, token }),
+        body: JSON.stringify({ ...sources, ...loadOptions, songCount, token }),
       });
       const data = await r.json();
       if (!r.ok) throw new Error(data.error || "Error loading playlist.");
@@ -370,6 +577,70 @@ export default function App() {
     }
   }
 
+  // Uploads share the playlist settings; logged-in hosts skip songs they heard
+  async function postForm(path, form) {
+    for (const [key, value] of Object.entries({ songCount, ...loadOptions }))
+      form.append(key, String(value));
+    const token = user ? await user.getIdToken() : null;
+    return fetch(`${SERVER_URL}${path}`, {
+      method: "POST",
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      body: form,
+    });
+  }
+
+  async function uploadAudio(e) {
+    const files = [...(e.target.files || [])];
+    e.target.value = "";
+    if (!files.length) return;
+    try {
+      setLoadingPlaylist(true);
+      const form = new FormData();
+      for (const file of files) form.append("files", file);
+      const r = await postForm("/api/upload-audio", form);
+      const data = await r.json();
+      if (!r.ok) throw new Error(data.error || "Error uploading files.");
+      setParsed(data);
+    } catch (e) {
+      alert(e.message);
+    } finally {
+      setLoadingPlaylist(false);
+    }
+  }
+
+  // CSV/M3U/JSON list of songs, reported row by row
+  async function importPlaylistFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      setLoadingPlaylist(true);
+      const form = new FormData();
+      form.append("file", file);
+      const r = await postForm("/api/import-playlist", form);
+      const data = await r.json();
+      if (!r.ok) {
+        const rows = (data.errors || []).map((err) =>
+          dict.importRowError(err.row, err.error),
+        );
+        throw new Error(
+          [data.error || "Error importing file.", ...rows].join("\n"),
+        );
+      }
+      setParsed(data);
+    } catch (e) {
+      alert(e.message);
+    } finally {
+      setLoadingPlaylist(false);
+    }
+  }
+
+  function updateSource(idx, patch) {
+    setExtraSources((prev) =>
+      prev.map((src, i) => (i === idx ? { ...src, ...patch } : src)),
+    );
+  }
+
   async function fetchPlaylistHistory() {
     if (!user) return;
     try {
@@ -404,6 +675,19 @@ export default function App() {
           mode: data.source,
           tracks: data.tracks,
           gameType,
+          roundDuration,
+          scoring,
+          solveMode,
+          distractors: data.distractorPool,
+          extraTracks: data.extraTracks,
+          progressiveHints,
+          snippetStart,
+          introChallenge,
+          lives,
+          seed,
+          yearGuess,
+          yearBonusEvery,
+          matchProfile,
         },
         (resp) => {
           if (resp?.error) return alert(resp.error);
@@ -419,8 +703,21 @@ export default function App() {
       {
         code: roomCode,
         mode: parsed.source,
-        tracks: parsed.tracks,
+        tracks: withSwaps(parsed.tracks, resolving?.swaps),
         gameType,
+        roundDuration,
+        scoring,
+        solveMode,
+        distractors: parsed.distractorPool,
+        extraTracks: parsed.extraTracks,
+        progressiveHints,
+        snippetStart,
+        introChallenge,
+        lives,
+        seed,
+        yearGuess,
+        yearBonusEvery,
+        matchProfile,
       },
       (resp) => {
         if (resp?.error) return alert(resp.error);
@@ -428,6 +725,13 @@ export default function App() {
     );
   }
 
+  // Host: flip the verdict on a guess from the round that just ended
+  function overturnGuess(id) {
+    socket.emit("overturnGuess", { code: roomCode, id }, (resp) => {
+      if (resp?.error) alert(resp.error);
+    });
+  }
+
   function nextRound() {
     socket.emit("nextRound", { code: roomCode }, (resp) => {
       if (resp?.error) return alert(resp.error);
@@ -436,12 +740,23 @@ export default function App() {
 
   function sendGuess(e) {
     e.preventDefault();
-    const txt = guess.trim();
-    if (!txt) return;
-    socket.emit("guess", { code: roomCode, guessText: txt }, (resp) => {
+    const payload = splitFields
+      ? { guessArtist: guessArtist.trim(), guessTitle: guessTitle.trim() }
+      : { guessText: guess.trim() };
+    if (!payload.guessText && !payload.guessArtist && !payload.guessTitle)
+      return;
+    socket.emit("guess", { code: roomCode, ...payload }, (resp) => {
       if (resp?.error) return alert(resp.error);
+      setGuessFeedback({
+        artist: !!resp.artistCorrect,
+        title: !!resp.titleCorrect,
+        artistClose: !!resp.artistClose,
+        titleClose: !!resp.titleClose,
+      });
     });
     setGuess("");
+    setGuessArtist("");
+    setGuessTitle("");
   }
 
   function sendChat(e) {
@@ -484,6 +799,20 @@ export default function App() {
     );
   }
 
+  function pickChoice(index) {
+    socket.emit("pickChoice", { code: roomCode, index }, (resp) => {
+      if (resp?.error) return alert(resp.error);
+      setMyPick(index);
+    });
+  }
+
+  function guessYear(year) {
+    socket.emit("guessYear", { code: roomCode, year }, (resp) => {
+      if (resp?.error) return alert(resp.error);
+      setMyYear(Number(year));
+    });
+  }
+
   function endRoundManual() {
     socket.emit("endRoundManual", { code: roomCode }, (resp) => {
       if (resp?.error) alert(resp.error);
@@ -508,6 +837,12 @@ export default function App() {
     });
   }
 
+  function extendIntro() {
+    socket.emit("extendIntro", { code: roomCode }, (resp) => {
+      if (resp?.error) alert(resp.error);
+    });
+  }
+
   function verifyHostGuess(e) {
     if (e) e.preventDefault();
     socket.emit(
@@ -518,6 +853,8 @@ export default function App() {
         setVerifyStatus({
           artist: resp.artistCorrect,
           title: resp.titleCorrect,
+          artistClose: resp.artistClose,
+          titleClose: resp.titleClose,
         });
 
         if (!resp.artistCorrect && !resp.titleCorrect) {
@@ -537,6 +874,34 @@ export default function App() {
     });
   }
 
+  function createTeam(teamName) {
+    socket.emit("createTeam", { code: roomCode, name: teamName }, (resp) => {
+      if (resp?.error) alert(resp.error);
+    });
+  }
+
+  function deleteTeam(teamId) {
+    socket.emit("deleteTeam", { code: roomCode, teamId }, (resp) => {
+      if (resp?.error) alert(resp.error);
+    });
+  }
+
+  function assignTeam(targetSid, teamId) {
+    socket.emit(
+      "assignTeam",
+      { code: roomCode, targetSid, teamId: teamId || null },
+      (resp) => {
+        if (resp?.error) alert(resp.error);
+      },
+    );
+  }
+
+  function setTeamSettings(settings) {
+    socket.emit("setTeamSettings", { code: roomCode, ...settings }, (resp) => {
+      if (resp?.error) alert(resp.error);
+    });
+  }
+
   function kickPlayer(targetSid) {
     if (!roomCode) return;
     socket.emit("kickPlayer", { code: roomCode, targetSid }, (resp) => {
@@ -544,6 +909,27 @@ export default function App() {
     });
   }
 
+  const choiceOptions =
+    roomState?.currentRound?.choice?.options || round?.choices || [];
+  const picked = roomState?.currentRound?.choice?.picked || [];
+  const lockedIn = myPick !== null || picked.includes(socket.id);
+  // Year rounds (whole game or bonus) show the song and ask for its year
+  const yearRound = roomState?.currentRound?.year || round?.year || null;
+  const yearLocked =
+    myYear !== null || !!yearRound?.guessed?.includes(socket.id);
+  // roomState carries the latest reveal for late joiners
+  const hint = roomState?.currentRound?.hint || round?.hint;
+  const teamNames = Object.fromEntries(
+    (roomState?.teams || []).map((t) => [t.id, t.name]),
+  );
+  const solvers = roomState?.currentRound?.solvers || [];
+  const solvedByMe = solvers.some((s) => s.sid === socket.id);
+  const spectating =
+    roomState?.players?.find((p) => p.sid === socket.id)?.lives === 0;
+  // Sudden death: only the tied leaders answer
+  const tiebreak = roomState?.currentRound?.tiebreak || null;
+  const sittingOut = !!tiebreak && !tiebreak.includes(socket.id);
+
   // ===== Options for CustomSelects =====
   const langOptions = [
     { value: "pl", label: dict.polish },
@@ -552,6 +938,43 @@ export default function App() {
   const modeOptions = [
     { value: "text", label: dict.textMode },
     { value: "buzzer", label: dict.voiceMode },
+    { value: "choice", label: dict.choiceMode },
+    { value: "elimination", label: dict.eliminationMode },
+    { value: "year", label: dict.yearMode },
+  ];
+  const yearGuessOptions = [
+    { value: "year", label: dict.yearExact },
+    { value: "decade", label: dict.yearDecade },
+  ];
+  const yearBonusOptions = [0, 3, 5, 10].map((n) => ({
+    value: n,
+    label: n ? dict.yearBonusEvery(n) : dict.yearBonusOff,
+  }));
+  const matchProfileOptions = [
+    { value: "lenient", label: dict.matchLenient },
+    { value: "normal", label: dict.matchNormal },
+    { value: "strict", label: dict.matchStrict },
+  ];
+  const weightOptions = [1, 2, 3].map((n) => ({
+    value: n,
+    label: `×${n}`,
+  }));
+  const livesOptions = [1, 2, 3, 5].map((n) => ({
+    value: n,
+    label: String(n),
+  }));
+  const scoringOptions = [
+    { value: "flat", label: dict.scoringFlat },
+    { value: "speed", label: dict.scoringSpeed },
+  ];
+  const solveModeOptions = [
+    { value: "first", label: dict.solveFirst },
+    { value: "everyone", label: dict.solveEveryone },
+  ];
+  const snippetStartOptions = [
+    { value: "start", label: dict.snippetFromStart },
+    { value: "random", label: dict.snippetRandom },
+    { value: "chorus", label: dict.snippetChorus },
   ];
   const playerOptions = (roomState?.players || []).map((p) => ({
     value: p.name,
@@ -564,6 +987,14 @@ export default function App() {
     { value: 20, label: "20" },
     { value: 25, label: "25" },
   ];
+  const roundDurationOptions = [
+    { value: 15, label: "15s" },
+    { value: 30, label: "30s" },
+    { value: 45, label: "45s" },
+    { value: 60, label: "60s" },
+    { value: 90, label: "90s" },
+    { value: 0, label: dict.noTimeLimit },
+  ];
 
   async function fetchLeaderboard() {
     try {
@@ -704,6 +1135,16 @@ export default function App() {
                     }}>
                     <span>
                       {p.name} — <b>{p.score}</b> pkt
+                      {p.lives != null && (
+                        <span style={{ marginLeft: 8 }}>
+                          {p.lives > 0 ? "❤️".repeat(p.lives) : "💀"}
+                        </span>
+                      )}
+                      {p.teamId && teamNames[p.teamId] && (
+                        <span className="badge" style={{ marginLeft: 8 }}>
+                          {teamNames[p.teamId]}
+                        </span>
+                      )}
                     </span>
                     {isHost && p.sid !== socket.id && (
                       <button
@@ -731,6 +1172,21 @@ export default function App() {
                   {dict.change}
                 </button>
               </div>
+
+              <TeamsPanel
+                dict={dict}
+                teams={roomState?.teams || []}
+                players={roomState?.players || []}
+                mySid={socket.id}
+                isHost={isHost}
+                editable={stage === "lobby"}
+                selfSelect={!!roomState?.teamSelfSelect}
+                oneBuzzPerTeam={!!roomState?.oneBuzzPerTeam}
+                onCreate={createTeam}
+                onDelete={deleteTeam}
+                onAssign={assignTeam}
+                onSettings={setTeamSettings}
+              />
             </div>
 
             <div style={{ flex: 2, minWidth: 320 }}>
@@ -771,12 +1227,59 @@ export default function App() {
       {stage === "lobby" && isHost && (
         <Section title={dict.gameSettings}>
           <div className="grid">
-            <input
-              className="input"
-              placeholder={dict.pastePlaylist}
-              value={playlistUrl}
-              onChange={(e) => setPlaylistUrl(e.target.value)}
-            />
+            <div className="row">
+              <input
+                className="input"
+                placeholder={dict.pastePlaylist}
+                value={playlistUrl}
+                onChange={(e) => setPlaylistUrl(e.target.value)}
+                style={{ flex: 1 }}
+              />
+              {extraSources.length > 0 && (
+                <CustomSelect
+                  options={weightOptions}
+                  value={playlistWeight}
+                  onChange={setPlaylistWeight}
+                />
+              )}
+            </div>
+            {extraSources.map((src, idx) => (
+              <div key={idx} className="row">
+                <input
+                  className="input"
+                  placeholder={dict.pastePlaylist}
+                  value={src.url}
+                  onChange={(e) => updateSource(idx, { url: e.target.value })}
+                  style={{ flex: 1 }}
+                />
+                <CustomSelect
+                  options={weightOptions}
+                  value={src.weight}
+                  onChange={(weight) => updateSource(idx, { weight })}
+                />
+                <button
+                  className="btn ghost"
+                  onClick={() =>
+                    setExtraSources((prev) => prev.filter((_, i) => i !== idx))
+                  }>
+                  ✕
+                </button>
+              </div>
+            ))}
+            {extraSources.length < 4 && (
+              <div className="row">
+                <button
+                  className="btn ghost"
+                  onClick={() =>
+                    setExtraSources((prev) => [...prev, { url: "", weight: 1 }])
+                  }>
+                  {dict.addPlaylist}
+                </button>
+                {extraSources.length > 0 && (
+                  <span className="kbd">{dict.weightHint}</span>
+                )}
+              </div>
+            )}
 
             {playlistHistory.length > 0 ? (
               <div style={{ marginTop: 8 }}>
@@ -802,6 +1305,17 @@ export default function App() {
                 </i>
               </div>
             ) : null}
+            {user && (
+              <QuizBuilder
+                dict={dict}
+                serverUrl={SERVER_URL}
+                getToken={() => user.getIdToken()}
+                songCount={songCount}
+                loadOptions={loadOptions}
+                disabled={loadingPlaylist}
+                onLoad={setParsed}
+              />
+            )}
             <div className="row">
               <button
                 className="btn"
@@ -812,12 +1326,63 @@ export default function App() {
               {parsed && (
                 <span className="badge">
                   {dict.loaded}: <b>{parsed.total}</b>{" "}
-                  {parsed.source === "spotify"
-                    ? `(${dict.playable}: ${parsed.playable})`
+                  {parsed.source !== "youtube"
+                    ? `(${dict.playable}: ${resolving?.playable ?? parsed.playable})`
                     : ""}
                 </span>
               )}
+              {resolving?.total > 0 && (
+                <span className="badge">
+                  {dict.resolving(
+                    resolving.done,
+                    resolving.total,
+                    resolving.failed,
+                  )}
+                </span>
+              )}
             </div>
+            {user && (
+              <label className="row kbd">
+                {dict.uploadAudio}:
+                <input
+                  type="file"
+                  multiple
+                  accept="audio/*,.zip"
+                  onChange={uploadAudio}
+                  disabled={loadingPlaylist}
+                />
+              </label>
+            )}
+            {user && (
+              <label className="row kbd">
+                {dict.importFile}:
+                <input
+                  type="file"
+                  accept=".csv,.m3u,.m3u8,.json"
+                  onChange={importPlaylistFile}
+                  disabled={loadingPlaylist}
+                />
+              </label>
+            )}
+            {parsed?.errors?.length > 0 && (
+              <ul className="list kbd">
+                <li>{dict.importSkipped(parsed.errors.length)}</li>
+                {parsed.errors.map((err) => (
+                  <li key={`${err.row}-${err.error}`}>
+                    {dict.importRowError(err.row, err.error)}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {parsed?.sources?.length > 1 && (
+              <ul className="list kbd">
+                {parsed.sources.map((src) => (
+                  <li key={src.url}>
+                    {dict.sourceCount(src.playlistName, src.picked, src.total)}
+                  </li>
+                ))}
+              </ul>
+            )}
 
             <div className="row">
               <span className="kbd">{dict.gameMode}:</span>
@@ -828,6 +1393,99 @@ export default function App() {
               />
             </div>
 
+            {gameType !== "year" && (
+              <div className="row">
+                <span className="kbd">{dict.yearBonus}:</span>
+                <CustomSelect
+                  options={yearBonusOptions}
+                  value={yearBonusEvery}
+                  onChange={setYearBonusEvery}
+                />
+              </div>
+            )}
+
+            {(gameType === "year" || yearBonusEvery > 0) && (
+              <div className="row">
+                <span className="kbd">{dict.yearGuessMode}:</span>
+                <CustomSelect
+                  options={yearGuessOptions}
+                  value={yearGuess}
+                  onChange={setYearGuess}
+                />
+              </div>
+            )}
+
+            {gameType !== "choice" && gameType !== "year" && (
+              <div className="row">
+                <span className="kbd">{dict.matchProfile}:</span>
+                <CustomSelect
+                  options={matchProfileOptions}
+                  value={matchProfile}
+                  onChange={setMatchProfile}
+                />
+              </div>
+            )}
+
+            {gameType === "elimination" && (
+              <div className="row">
+                <span className="kbd">{dict.lives}:</span>
+                <CustomSelect
+                  options={livesOptions}
+                  value={lives}
+                  onChange={setLives}
+                />
+              </div>
+            )}
+
+            {(gameType === "text" || gameType === "elimination") && (
+              <div className="row">
+                <span className="kbd">{dict.scoring}:</span>
+                <CustomSelect
+                  options={scoringOptions}
+                  value={scoring}
+                  onChange={setScoring}
+                />
+              </div>
+            )}
+
+            {gameType === "text" && (
+              <div className="row">
+                <span className="kbd">{dict.solveMode}:</span>
+                <CustomSelect
+                  options={solveModeOptions}
+                  value={solveMode}
+                  onChange={setSolveMode}
+                />
+              </div>
+            )}
+
+            <label className="row kbd">
+              <input
+                type="checkbox"
+                checked={progressiveHints}
+                onChange={(e) => setProgressiveHints(e.target.checked)}
+              />
+              {dict.progressiveHints}
+            </label>
+
+            <div className="row">
+              <span className="kbd">{dict.snippetStart}:</span>
+              <CustomSelect
+                options={snippetStartOptions}
+                value={snippetStart}
+                onChange={setSnippetStart}
+              />
+            </div>
+
+            <label className="row kbd">
+              <input
+                type="checkbox"
+                checked={introChallenge}
+                onChange={(e) => setIntroChallenge(e.target.checked)}
+              />
+              {dict.introChallenge}
+            </label>
+
             <div className="row">
               <span className="kbd">{dict.songCount}:</span>
               <CustomSelect
@@ -837,6 +1495,37 @@ export default function App() {
               />
             </div>
 
+            <label className="row kbd">
+              <input
+                type="checkbox"
+                checked={freshOnly}
+                onChange={(e) => setFreshOnly(e.target.checked)}
+              />
+              {dict.freshOnly}
+            </label>
+
+            <div className="row">
+              <span className="kbd">{dict.seed}:</span>
+              <input
+                className="input"
+                value={seed}
+                onChange={(e) => setSeed(e.target.value)}
+                placeholder={dict.seedHint}
+                maxLength={64}
+                style={{ flex: 1 }}
+                autoComplete="off"
+              />
+            </div>
+
+            <div className="row">
+              <span className="kbd">{dict.roundDuration}:</span>
+              <CustomSelect
+                options={roundDurationOptions}
+                value={roundDuration}
+                onChange={setRoundDuration}
+              />
+            </div>
+
             {parsed ? (
               <div className="row stack-mobile">
                 <button className="btn" onClick={startGame}>
@@ -883,19 +1572,67 @@ export default function App() {
             </button>
           )}
 
+          {round?.tiebreak && (
+            <div className="badge" style={{ marginBottom: 8 }}>
+              ⚔️ {dict.suddenDeath(round.tiebreak.join(" vs "))}
+            </div>
+          )}
+
           {round && (
             <div className="grid">
               <div>
-                <div className="kbd">
-                  {dict.hint(round.hint?.titleLen, round.hint?.artistLen)}
-                </div>
+                {yearRound ? (
+                  <>
+                    <div className="badge">
+                      📅{" "}
+                      {yearRound.bonus ? dict.yearBonusRound : dict.yearRound}
+                    </div>
+                    <div className="maskedTitle">
+                      {yearRound.answer.title}
+                      {yearRound.answer.artist &&
+                        ` — ${yearRound.answer.artist}`}
+                    </div>
+                  </>
+                ) : (
+                  <div className="kbd">
+                    {dict.hint(hint?.titleLen, hint?.artistLen)}
+                  </div>
+                )}
+                {hint?.maskedTitle && (
+                  <div className="maskedTitle">{hint.maskedTitle}</div>
+                )}
+                {(hint?.artistInitial || hint?.year) && (
+                  <div className="kbd">
+                    {hint.artistInitial &&
+                      dict.artistInitialHint(hint.artistInitial)}
+                    {hint.artistInitial && hint.year ? " · " : ""}
+                    {hint.year && dict.yearHint(hint.year)}
+                  </div>
+                )}
+                {hint?.cover && (
+                  <img
+                    className="hintCover"
+                    src={mediaUrl(hint.cover)}
+                    alt="cover"
+                  />
+                )}
+                {hint?.level > 0 && (
+                  <div className="kbd">
+                    {dict.hintsUsed(hint.level, hint.maxLevel)}
+                  </div>
+                )}
+                {timeLeft != null && (
+                  <div className={`timer ${timeLeft <= 5000 ? "urgent" : ""}`}>
+                    ⏱ {dict.timeLeft(Math.ceil(timeLeft / 1000))}
+                  </div>
+                )}
 
                 {round.playback?.type === "audio" && (
                   <audio
                     className="audio"
                     ref={audioRef}
                     controls
-                    src={round.playback.previewUrl}
+                    src={mediaUrl(round.playback.previewUrl)}
                   />
                 )}
                 {round.playback?.type === "youtube" && (
@@ -905,7 +1642,9 @@ export default function App() {
                       opts={{
                         width: "0",
                         height: "0",
-                        playerVars: {},
+                        playerVars: {
+                          start: Math.floor(round.playback.startAt || 0),
+                        },
                       }}
                       onReady={(e) => {
                         ytRef.current = e.target;
@@ -919,6 +1658,29 @@ export default function App() {
                   </div>
                 )}
 
+                {round.intro && (
+                  <div className="row" style={{ marginTop: 8 }}>
+                    <span className="badge">
+                      {round.playback?.endAt != null
+                        ? dict.introClip(
+                            round.playback.endAt - round.playback.startAt,
+                          )
+                        : dict.introFull}
+                    </span>
+                    <button
+                      className="btn ghost"
+                      disabled={roomState?.currentRound?.paused}
+                      onClick={() => replayClip(round.playback?.startAt)}>
+                      ↺
+                    </button>
+                    {isHost && round.playback?.endAt != null && (
+                      <button className="btn secondary" onClick={extendIntro}>
+                        {dict.extendClip}
+                      </button>
+                    )}
+                  </div>
+                )}
+
                 {isHost && (
                   <div className="row" style={{ marginTop: 12 }}>
                     <button
@@ -936,18 +1698,160 @@ export default function App() {
                 )}
               </div>
 
-              {gameType === "text" ? (
+              {spectating || sittingOut ? (
+                <div className="kbd">
+                  {spectating ? dict.spectating : dict.sittingOut}
+                </div>
+              ) : yearRound ? (
+                <div className="grid">
+                  <div className="kbd">{dict.yearPrompt}</div>
+                  {yearRound.mode === "decade" ? (
+                    <div className="choices">
+                      {DECADES.map((d) => (
+                        <button
+                          key={d}
+                          type="button"
+                          className={`btn choice ${myYear === d ? "picked" : ""}`}
+                          disabled={yearLocked}
+                          onClick={() => guessYear(d)}>
+                          <b>{dict.decadeLabel(d)}</b>
+                        </button>
+                      ))}
+                    </div>
+                  ) : (
+                    <form
+                      className="row"
+                      onSubmit={(e) => {
+                        e.preventDefault();
+                        if (yearInput) guessYear(yearInput);
+                      }}>
+                      <input
+                        className="input"
+                        type="number"
+                        inputMode="numeric"
+                        min="1900"
+                        max={new Date().getFullYear()}
+                        value={yearInput}
+                        onChange={(e) => setYearInput(e.target.value)}
+                        placeholder={dict.yearPlaceholder}
+                        disabled={yearLocked}
+                        style={{ flex: 1 }}
+                      />
+                      <button
+                        className="btn"
+                        disabled={yearLocked || !yearInput}>
+                        {dict.guess}
+                      </button>
+                    </form>
+                  )}
+                  <div className="kbd">
+                    {yearLocked ? dict.answerLocked + " " : ""}
+                    {dict.pickedStatus(
+                      yearRound.guessed?.length || 0,
+                      roomState?.totalPlayers || 0,
+                    )}
+                  </div>
+                  <div className="row stack-mobile">
+                    <button
+                      className="btn ghost"
+                      type="button"
+                      onClick={voteSkip}>
+                      {dict.skipStatus(
+                        roomState?.skipVotes || 0,
+                        roomState?.totalPlayers || 0,
+                      )}
+                    </button>
+                    {isHost && (
+                      <button className="btn ghost" onClick={endRoundManual}>
+                        {dict.endRound}
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ) : gameType === "choice" ? (
+                <div className="grid">
+                  <div className="choices">
+                    {choiceOptions.map((o, idx) => (
+                      <button
+                        key={idx}
+                        type="button"
+                        className={`btn choice ${myPick === idx ? "picked" : ""}`}
+                        disabled={lockedIn}
+                        onClick={() => pickChoice(idx)}>
+                        <b>{o.title}</b>
+                        {o.artist && <span className="kbd">{o.artist}</span>}
+                      </button>
+                    ))}
+                  </div>
+                  <div className="kbd">
+                    {lockedIn ? dict.answerLocked + " " : ""}
+                    {dict.pickedStatus(
+                      picked.length,
+                      roomState?.totalPlayers || 0,
+                    )}
+                  </div>
+                  <div className="row stack-mobile">
+                    <button
+                      className="btn ghost"
+                      type="button"
+                      onClick={voteSkip}>
+                      {dict.skipStatus(
+                        roomState?.skipVotes || 0,
+                        roomState?.totalPlayers || 0,
+                      )}
+                    </button>
+                    {isHost && (
+                      <button className="btn ghost" onClick={endRoundManual}>
+                        {dict.endRound}
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ) : gameType === "text" || gameType === "elimination" ? (
                 <form onSubmit={sendGuess} className="row stack-mobile">
-                  <input
-                    className="input"
-                    value={guess}
-                    onChange={(e) => setGuess(e.target.value)}
-                    placeholder={dict.yourAnswer}
-                    style={{ flex: 1 }}
-                    autoComplete="off"
-                  />
+                  {solvers.length > 0 && (
+                    <div className="kbd" style={{ width: "100%" }}>
+                      {dict.solvedBy}: {solvers.map((s) => s.name).join(", ")}
+                    </div>
+                  )}
+                  {splitFields ? (
+                    <>
+                      <input
+                        className="input"
+                        value={guessArtist}
+                        onChange={(e) => setGuessArtist(e.target.value)}
+                        placeholder={dict.artistLabel}
+                        disabled={solvedByMe}
+                        style={{ flex: 1 }}
+                        autoComplete="off"
+                      />
+                      <input
+                        className="input"
+                        value={guessTitle}
+                        onChange={(e) => setGuessTitle(e.target.value)}
+                        placeholder={
+                          solvedByMe ? dict.youSolved : dict.titleLabel
+                        }
+                        disabled={solvedByMe}
+                        style={{ flex: 1 }}
+                        autoComplete="off"
+                      />
+                    </>
+                  ) : (
+                    <input
+                      className="input"
+                      value={guess}
+                      onChange={(e) => setGuess(e.target.value)}
+                      placeholder={
+                        solvedByMe ? dict.youSolved : dict.yourAnswer
+                      }
+                      disabled={solvedByMe}
+                      style={{ flex: 1 }}
+                      autoComplete="off"
+                    />
+                  )}
                   <div className="row">
-                    <button className="btn" type="submit">
+                    <button className="btn" type="submit" disabled={solvedByMe}>
                       {dict.guess}
                     </button>
                     <button
@@ -960,6 +1864,19 @@ export default function App() {
                       )}
                     </button>
                   </div>
+                  <label className="row kbd">
+                    <input
+                      type="checkbox"
+                      checked={splitFields}
+                      onChange={(e) => setSplitFields(e.target.checked)}
+                    />
+                    {dict.separateFields}
+                  </label>
+                  {guessFeedback && (
+                    <div style={{ width: "100%" }}>
+                      <MatchFeedback dict={dict} {...guessFeedback} />
+                    </div>
+                  )}
                 </form>
               ) : (
                 <div className="grid">
@@ -1062,25 +1979,7 @@ export default function App() {
                       </div>
                       {verifyStatus && (
                         <div style={{ marginTop: 8 }}>
-                          <span
-                            style={{
-                              color: verifyStatus.artist
-                                ? "#48bb78"
-                                : "#f56565",
-                              marginRight: 12,
-                            }}>
-                            {verifyStatus.artist
-                              ? dict.artistOk
-                              : dict.artistError}
-                          </span>
-                          <span
-                            style={{
-                              color: verifyStatus.title ? "#48bb78" : "#f56565",
-                            }}>
-                            {verifyStatus.title
-                              ? dict.titleOk
-                              : dict.titleError}
-                          </span>
+                          <MatchFeedback dict={dict} {...verifyStatus} />
                           {verifyStatus.artist && verifyStatus.title && (
                             <p
                               style={{
@@ -1108,13 +2007,113 @@ export default function App() {
                       lastResult.winner,
                       Math.round(lastResult.elapsedMs / 100) / 10,
                     )
-                  : ""}
+                  : lastResult.timeUp
+                    ? dict.timeUp
+                    : ""}
               </b>
+              {lastResult.points && (
+                <div className="kbd">
+                  {dict.pointsBreakdown(
+                    lastResult.points.base,
+                    lastResult.points.speedBonus,
+                    lastResult.points.total,
+                  )}
+                </div>
+              )}
+              {lastResult.choice && (
+                <ul className="list" style={{ margin: "8px 0" }}>
+                  {lastResult.choice.picks.map((p) => (
+                    <li key={p.name}>
+                      {p.correct ? "✅" : "❌"}{" "}
+                      {dict.solverLine(
+                        p.name,
+                        Math.round(p.elapsedMs / 100) / 10,
+                        p.points,
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {lastResult.year && (
+                <>
+                  <div className="kbd">
+                    {dict.yearHint(lastResult.year.actual)}
+                  </div>
+                  <ul className="list" style={{ margin: "8px 0" }}>
+                    {lastResult.year.guesses.map((g) => (
+                      <li key={g.name}>
+                        {dict.yearGuessLine(
+                          g.name,
+                          lastResult.year.mode === "decade"
+                            ? dict.decadeLabel(g.year)
+                            : g.year,
+                          g.points,
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+              {lastResult.solvers?.length > 1 && (
+                <ol className="list" style={{ margin: "8px 0" }}>
+                  {lastResult.solvers.map((s) => (
+                    <li key={s.name}>
+                      {dict.solverLine(
+                        s.name,
+                        Math.round(s.elapsedMs / 100) / 10,
+                        s.points,
+                      )}
+                    </li>
+                  ))}
+                </ol>
+              )}
+              {lastResult.elimination?.lostLife.length > 0 && (
+                <ul className="list" style={{ margin: "8px 0" }}>
+                  {lastResult.elimination.lostLife.map((l) => (
+                    <li key={l.sid}>
+                      {l.lives > 0
+                        ? dict.lostLife(l.name, l.lives)
+                        : dict.eliminated(l.name)}
+                    </li>
+                  ))}
+                </ul>
+              )}
               <br />
               {dict.itWas(lastResult.answer.title, lastResult.answer.artist)}
             </div>
           )}
 
+          {isHost &&
+            lastResult &&
+            gameType === "text" &&
+            guessLog?.length > 0 && (
+              <div className="card">
+                <b>{dict.guessReview}</b>
+                <ul className="list" style={{ margin: "8px 0" }}>
+                  {guessLog.map((g) => (
+                    <li key={g.id}>
+                      {g.titleCorrect
+                        ? "✅"
+                        : g.result === "close"
+                          ? "🟡"
+                          : "❌"}{" "}
+                      {dict.reviewLine(g.name, g.text, g.points)}{" "}
+                      {g.overturned ? (
+                        <span className="kbd">{dict.overturned}</span>
+                      ) : (
+                        <button
+                          className="btn ghost"
+                          style={{ padding: "2px 8px", fontSize: "0.8em" }}
+                          onClick={() => overturnGuess(g.id)}>
+                          {g.titleCorrect ? dict.rejectGuess : dict.acceptGuess}
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
           {isHost && (
             <button className="btn ghost" onClick={nextRound}>
               {roomState?.roundCount === 20
@@ -1129,6 +2128,9 @@ export default function App() {
       {stage === "gameOver" && (
         <Section title={dict.gameOver || "Koniec gry"}>
           <div className="grid">
+            {roomState?.survivors?.length > 0 && (
+              <h3>🏆 {dict.lastStanding(roomState.survivors.join(", "))}</h3>
+            )}
             <h3>{dict.finalScores || "Wyniki końcowe"}</h3>
             <ul className="list">
               {roomState?.players
@@ -1145,6 +2147,22 @@ export default function App() {
                   </li>
                 ))}
             </ul>
+            {roomState?.teams?.length > 0 && (
+              <>
+                <h3>{dict.teamStandings}</h3>
+                <ul className="list">
+                  {roomState.teams.map((t, idx) => (
+                    <li
+                      key={t.id}
+                      style={{ fontWeight: idx === 0 ? "bold" : "normal" }}>
+                      {idx === 0 ? "🏆 " : ""}
+                      {t.name} — {t.score} pkt
+                      <span className="kbd"> ({t.members.join(", ")})</span>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
             <button className="btn" onClick={goHome}>
               {dict.returnHome || "Powrót"}
             </button>
@@ -0,0 +1,300 @@
+import { useEffect, useState } from "react";
+import CustomSelect from "./CustomSelect.jsx";
+
+// Aliases are typed as one "|"-separated field, same as in imported CSV files
+const splitAliases = (text) =>
+  text
+    .split("|")
+    .map((a) => a.trim())
+    .filter(Boolean);
+
+export default function QuizBuilder({
+  dict,
+  serverUrl,
+  getToken,
+  songCount,
+  loadOptions,
+  disabled,
+  onLoad,
+}) {
+  const [sets, setSets] = useState([]);
+  // null = closed, otherwise { id?, name, tracks: [{ id, title, artist, aliasText, artistAliasText, cover, durationMs }] }
+  const [draft, setDraft] = useState(null);
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState([]);
+  const [busy, setBusy] = useState(false);
+
+  async function api(path, { method = "GET", body } = {}) {
+    const token = await getToken();
+    const r = await fetch(`${serverUrl}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        ...(body && { "Content-Type": "application/json" }),
+      },
+      body: body && JSON.stringify(body),
+    });
+    const data = await r.json();
+    if (!r.ok) throw new Error(data.error || "Request failed.");
+    return data;
+  }
+
+  async function run(fn) {
+    try {
+      setBusy(true);
+      await fn();
+    } catch (e) {
+      alert(e.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  useEffect(() => {
+    api("/api/quiz-sets")
+      .then(setSets)
+      .catch((e) => console.error("Failed to fetch quiz sets:", e));
+  }, []);
+
+  function search(e) {
+    e.preventDefault();
+    if (!query.trim()) return;
+    run(async () =>
+      setResults(
+        await api(`/api/quiz-search?q=${encodeURIComponent(query.trim())}`),
+      ),
+    );
+  }
+
+  function addTrack(video) {
+    setDraft((d) =>
+      d.tracks.some((t) => t.id === video.id)
+        ? d
+        : {
+            ...d,
+            tracks: [
+              ...d.tracks,
+              { ...video, aliasText: "", artistAliasText: "" },
+            ],
+          },
+    );
+  }
+
+  function updateTrack(idx, patch) {
+    setDraft((d) => ({
+      ...d,
+      tracks: d.tracks.map((t, i) => (i === idx ? { ...t, ...patch } : t)),
+    }));
+  }
+
+  function removeTrack(idx) {
+    setDraft((d) => ({ ...d, tracks: d.tracks.filter((_, i) => i !== idx) }));
+  }
+
+  function edit(id) {
+    run(async () => {
+      const set = await api(`/api/quiz-sets/${id}`);
+      setDraft({
+        ...set,
+        tracks: set.tracks.map((t) => ({
+          ...t,
+          aliasText: (t.aliases || []).join(" | "),
+          artistAliasText: (t.artistAliases || []).join(" | "),
+        })),
+      });
+      setResults([]);
+    });
+  }
+
+  function save() {
+    run(async () => {
+      const data = await api("/api/quiz-sets", {
+        method: "POST",
+        body: {
+          id: draft.id,
+          name: draft.name,
+          tracks: draft.tracks.map(({ aliasText, artistAliasText, ...t }) => ({
+            ...t,
+            aliases: splitAliases(aliasText),
+            artistAliases: splitAliases(artistAliasText),
+          })),
+        },
+      });
+      setSets(data.sets);
+      setDraft(null);
+      setResults([]);
+    });
+  }
+
+  function remove(id) {
+    if (!confirm(dict.quizDeleteConfirm)) return;
+    run(async () =>
+      setSets((await api(`/api/quiz-sets/${id}`, { method: "DELETE" })).sets),
+    );
+  }
+
+  function play(id) {
+    if (!id) return;
+    run(async () =>
+      onLoad(
+        await api(`/api/quiz-sets/${id}/play`, {
+          method: "POST",
+          body: { ...loadOptions, songCount },
+        }),
+      ),
+    );
+  }
+
+  if (!draft) {
+    return (
+      <div style={{ marginTop: 8 }}>
+        <h4 style={{ margin: "8px 0" }}>{dict.quizSets}</h4>
+        {sets.length > 0 && (
+          <>
+            <CustomSelect
+              options={[
+                { value: "", label: dict.selectQuizSet },
+                ...sets.map((s) => ({
+                  value: s.id,
+                  label: `${s.name} (${s.trackCount})`,
+                })),
+              ]}
+              value=""
+              onChange={play}
+            />
+            <ul className="list kbd">
+              {sets.map((s) => (
+                <li key={s.id} className="row">
+                  <span style={{ flex: 1 }}>{s.name}</span>
+                  <button
+                    className="btn ghost"
+                    disabled={busy}
+                    onClick={() => edit(s.id)}>
+                    {dict.quizEdit}
+                  </button>
+                  <button
+                    className="btn ghost"
+                    disabled={busy}
+                    onClick={() => remove(s.id)}>
+                    {dict.quizDelete}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+        <button
+          className="btn ghost"
+          disabled={disabled || busy}
+          onClick={() => setDraft({ name: "", tracks: [] })}>
+          {dict.quizNew}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid" style={{ marginTop: 8 }}>
+      <h4 style={{ margin: "8px 0" }}>{dict.quizBuilder}</h4>
+      <input
+        className="input"
+        placeholder={dict.quizName}
+        value={draft.name}
+        onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+        autoComplete="off"
+      />
+
+      <form onSubmit={search} className="row">
+        <input
+          className="input"
+          placeholder={dict.quizSearch}
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          style={{ flex: 1 }}
+          autoComplete="off"
+        />
+        <button className="btn" disabled={busy || !query.trim()}>
+          {busy ? dict.loading : dict.search}
+        </button>
+      </form>
+      {results.length > 0 && (
+        <ul className="list kbd">
+          {results.map((v) => (
+            <li key={v.id} className="row">
+              <span style={{ flex: 1 }}>{v.videoTitle}</span>
+              <button className="btn ghost" onClick={() => addTrack(v)}>
+                {dict.quizAdd}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {draft.tracks.length > 0 && (
+        <ul className="list">
+          {draft.tracks.map((t, i) => (
+            <li key={t.id} className="grid">
+              <div className="row">
+                <input
+                  className="input"
+                  placeholder={dict.quizTitle}
+                  value={t.title}
+                  onChange={(e) => updateTrack(i, { title: e.target.value })}
+                  style={{ flex: 2 }}
+                />
+                <input
+                  className="input"
+                  placeholder={dict.quizArtist}
+                  value={t.artist}
+                  onChange={(e) => updateTrack(i, { artist: e.target.value })}
+                  style={{ flex: 1 }}
+                />
+                <button className="btn ghost" onClick={() => removeTrack(i)}>
+                  ✕
+                </button>
+              </div>
+              <div className="row">
+                <input
+                  className="input"
+                  placeholder={dict.quizAliases}
+                  value={t.aliasText}
+                  onChange={(e) =>
+                    updateTrack(i, { aliasText: e.target.value })
+                  }
+                  style={{ flex: 2 }}
+                />
+                <input
+                  className="input"
+                  placeholder={dict.quizArtistAliases}
+                  value={t.artistAliasText}
+                  onChange={(e) =>
+                    updateTrack(i, { artistAliasText: e.target.value })
+                  }
+                  style={{ flex: 1 }}
+                />
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="row">
+        <button
+          className="btn"
+          disabled={busy || !draft.name.trim() || !draft.tracks.length}
+          onClick={save}>
+          {dict.quizSave} ({draft.tracks.length})
+        </button>
+        <button
+          className="btn ghost"
+          disabled={busy}
+          onClick={() => {
+            setDraft(null);
+            setResults([]);
+          }}>
+          {dict.cancel}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+import { useState } from "react";
+import CustomSelect from "./CustomSelect.jsx";
+
+export default function TeamsPanel({
+  dict,
+  teams,
+  players,
+  mySid,
+  isHost,
+  editable,
+  selfSelect,
+  oneBuzzPerTeam,
+  onCreate,
+  onDelete,
+  onAssign,
+  onSettings,
+}) {
+  const [teamName, setTeamName] = useState("");
+
+  if (!teams.length && !(isHost && editable)) return null;
+
+  const teamOptions = [
+    { value: "", label: dict.noTeam },
+    ...teams.map((t) => ({ value: t.id, label: t.name })),
+  ];
+  const me = players.find((p) => p.sid === mySid);
+
+  function submit(e) {
+    e.preventDefault();
+    const name = teamName.trim();
+    if (!name) return;
+    onCreate(name);
+    setTeamName("");
+  }
+
+  return (
+    <div style={{ marginTop: 12 }}>
+      <h3>{dict.teams}</h3>
+
+      {teams.length > 0 && (
+        <ul className="list">
+          {teams.map((t) => (
+            <li
+              key={t.id}
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "center",
+              }}>
+              <span>
+                <b>{t.name}</b> — <b>{t.score}</b> pkt
+                <br />
+                <span className="kbd">
+                  {t.members.length ? t.members.join(", ") : dict.noMembers}
+                </span>
+              </span>
+              {isHost && editable && (
+                <button
+                  className="btn ghost"
+                  style={{ padding: "2px 8px", fontSize: "0.8em" }}
+                  onClick={() => onDelete(t.id)}>
+                  {dict.deleteTeam}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {editable && isHost && (
+        <div className="grid" style={{ marginTop: 8 }}>
+          <form onSubmit={submit} className="row">
+            <input
+              className="input"
+              placeholder={dict.teamName}
+              value={teamName}
+              onChange={(e) => setTeamName(e.target.value)}
+              style={{ flex: 1 }}
+              autoComplete="off"
+            />
+            <button className="btn" type="submit">
+              {dict.addTeam}
+            </button>
+          </form>
+
+          {teams.length > 0 &&
+            players.map((p) => (
+              <div key={p.sid} className="row">
+                <span style={{ flex: 1 }}>{p.name}</span>
+                <CustomSelect
+                  options={teamOptions}
+                  value={p.teamId || ""}
+                  onChange={(teamId) => onAssign(p.sid, teamId)}
+                />
+              </div>
+            ))}
+
+          <label className="row kbd">
+            <input
+              type="checkbox"
+              checked={selfSelect}
+              onChange={(e) => onSettings({ selfSelect: e.target.checked })}
+            />
+            {dict.teamSelfSelect}
+          </label>
+          <label className="row kbd">
+            <input
+              type="checkbox"
+              checked={oneBuzzPerTeam}
+              onChange={(e) => onSettings({ oneBuzzPerTeam: e.target.checked })}
+            />
+            {dict.oneBuzzPerTeam}
+          </label>
+        </div>
+      )}
+
+      {editable && !isHost && selfSelect && teams.length > 0 && me && (
+        <div className="row" style={{ marginTop: 8 }}>
+          <span className="kbd">{dict.yourTeam}:</span>
+          <CustomSelect
+            options={teamOptions}
+            value={me.teamId || ""}
+            onChange={(teamId) => onAssign(me.sid, teamId)}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -19,8 +19,33 @@ export const dictionaries = {
     send: "Wyślij",
 
     gameSettings: "Ustawienia gry",
-    pastePlaylist: "Wklej link do playlisty (Spotify/YouTube)",
+    pastePlaylist:
+      "Wklej link do playlisty (Spotify/YouTube), albumu lub artysty (Spotify)",
     loadPlaylist: "Wczytaj playlistę",
+    addPlaylist: "+ Dodaj kolejną playlistę",
+    uploadAudio: "Lub wgraj własne pliki (MP3/OGG/FLAC albo ZIP, do 100 MB)",
+    importFile: "Albo listę utworów (CSV/M3U/JSON)",
+    importSkipped: (n) => `Pominięte wiersze: ${n}`,
+    importRowError: (row, error) => `Wiersz ${row}: ${error}`,
+    quizSets: "Twoje zestawy quizowe",
+    selectQuizSet: "Wybierz zestaw...",
+    quizNew: "+ Nowy zestaw",
+    quizEdit: "Edytuj",
+    quizDelete: "Usuń",
+    quizDeleteConfirm: "Usunąć ten zestaw?",
+    quizBuilder: "Kreator zestawu",
+    quizName: "Nazwa zestawu",
+    quizSearch: "Szukaj na YouTube...",
+    search: "Szukaj",
+    quizAdd: "Dodaj",
+    quizTitle: "Tytuł (odpowiedź)",
+    quizArtist: "Wykonawca",
+    quizAliases: "Inne poprawne tytuły, oddzielone |",
+    quizArtistAliases: "Inne nazwy wykonawcy",
+    quizSave: "Zapisz zestaw",
+    cancel: "Anuluj",
+    weightHint: "×2 = dwa razy więcej utworów z tej playlisty",
+    sourceCount: (name, picked, total) => `${name}: ${picked} z ${total}`,
     loading: "Ładowanie...",
     loaded: "Wczytano",
     playable: "Odtwarzalne",
@@ -29,7 +54,28 @@ export const dictionaries = {
     gameMode: "Tryb gry",
     textMode: "Tekstowy (zgaduj na czacie gry)",
     voiceMode: "Buzzer (odpowiedzi na komunikatorze głosowym)",
+    choiceMode: "Wybór (4 odpowiedzi do wyboru)",
+    eliminationMode: "Eliminacje (ostatni gracz wygrywa)",
+    yearMode: "Rok wydania (zgadnij, kiedy wyszedł utwór)",
+    yearGuessMode: "Zgadywanie roku",
+    matchProfile: "Tolerancja odpowiedzi",
+    matchLenient: "Łagodna (literówki i fragmenty)",
+    matchNormal: "Normalna",
+    matchStrict: "Ścisła (prawie dokładnie)",
+    yearExact: "Dokładny rok",
+    yearDecade: "Dekada",
+    yearBonus: "Bonusowe rundy z rokiem",
+    yearBonusOff: "Wyłączone",
+    yearBonusEvery: (n) => `Co ${n}. runda`,
     songCount: "Liczba piosenek",
+    roundDuration: "Czas rundy",
+    noTimeLimit: "Bez limitu",
+    scoring: "Punktacja",
+    scoringFlat: "Stała (10/5 pkt)",
+    scoringSpeed: "Za szybkość (bonus za tempo)",
+    solveMode: "Kto punktuje",
+    solveFirst: "Tylko pierwszy",
+    solveEveryone: "Każdy (mniej punktów za dalsze miejsca)",
 
     startGame: "Rozpocznij grę",
     startRound: "Rozpocznij rundę",
@@ -37,11 +83,58 @@ export const dictionaries = {
     round: "Runda",
 
     hint: (t, a) => `Tytuł: ${t} znaków, Wykonawca: ${a} znaków`,
+    artistInitialHint: (l) => `Wykonawca na literę: ${l}`,
+    yearHint: (y) => `Rok wydania: ${y}`,
+    yearRound: "Runda: rok wydania",
+    yearBonusRound: "Runda bonusowa: rok wydania",
+    yearPrompt: "W którym roku wyszedł ten utwór?",
+    yearPlaceholder: "np. 1984",
+    decadeLabel: (d) => `${d}-${d + 9}`,
+    yearGuessLine: (name, year, pts) => `${name} — ${year} (+${pts} pkt)`,
+    hintsUsed: (n, max) => `Podpowiedzi: ${n}/${max} (mniej punktów)`,
+    progressiveHints: "Stopniowe podpowiedzi (mniej punktów za każdą)",
+    snippetStart: "Początek fragmentu",
+    snippetFromStart: "Od początku",
+    snippetRandom: "Losowe miejsce",
+    snippetChorus: "Refren (mniej więcej)",
+    introChallenge:
+      "Wyzwanie intro (1s, 3s, 5s - im krócej, tym więcej punktów)",
+    introClip: (sec) => `Fragment: ${sec}s`,
+    introFull: "Cały utwór",
+    extendClip: "Wydłuż fragment",
+    freshOnly: "Tylko utwory, których ostatnio nie było",
+    resolving: (done, total, failed) =>
+      `Wyszukiwanie na YouTube: ${done}/${total}` +
+      (failed ? ` (nie znaleziono: ${failed})` : ""),
+    seed: "Ziarno losowania",
+    seedHint: "Puste = losowo, ten sam tekst = ta sama gra",
+    lives: "Życia",
+    spectating: "Odpadłeś - oglądasz grę do końca.",
+    lostLife: (name, lives) => `${name} traci życie (zostało: ${lives})`,
+    eliminated: (name) => `${name} odpada!`,
+    lastStanding: (names) => `Ostatni na placu boju: ${names}`,
+    suddenDeath: (names) => `Dogrywka: ${names}`,
+    sittingOut: "Dogrywka - odpowiadają tylko remisujący gracze.",
     yourAnswer: "Twoja odpowiedź...",
     guess: "Zgadnij",
+    solvedBy: "Odgadli",
+    separateFields: "Osobno wykonawca i tytuł",
+    answerLocked: "Odpowiedź zablokowana.",
+    pickedStatus: (picked, total) => `Odpowiedziało: ${picked}/${total}`,
+    youSolved: "Odgadłeś! Czekaj na resztę...",
+    solverLine: (name, sec, pts) => `${name} — ${sec}s (+${pts} pkt)`,
+    guessReview: "Odpowiedzi graczy — możesz zmienić werdykt",
+    reviewLine: (name, text, pts) => `${name}: „${text}” (+${pts} pkt)`,
+    acceptGuess: "Uznaj",
+    rejectGuess: "Odrzuć",
+    overturned: "werdykt zmieniony",
     hiddenYT: "Ukryty odtwarzacz YouTube",
+    timeLeft: (sec) => `Pozostało: ${sec}s`,
+    timeUp: "Koniec czasu!",
 
     winner: (name, sec) => `${name} odgadł w ${sec}s`,
+    pointsBreakdown: (base, bonus, total) =>
+      bonus ? `${base} + ${bonus} za szybkość = ${total} pkt` : `${total} pkt`,
     itWas: (title, artist) =>
       `To był utwór: "${title}" ${artist ? "— " + artist : ""}`,
 
@@ -61,8 +154,10 @@ export const dictionaries = {
     check: "Sprawdź",
     artistOk: "✅ Wykonawca OK",
     artistError: "❌ Wykonawca BŁĄD",
+    artistClose: "🟡 Wykonawca: blisko!",
     titleOk: "✅ Tytuł OK",
     titleError: "❌ Tytuł BŁĄD",
+    titleClose: "🟡 Tytuł: blisko!",
     allCorrect: "Wszystko poprawne! Przyznaj punkty.",
     loginWithGoogle: "Zaloguj przez Google",
     logout: "Wyloguj",
@@ -86,11 +181,21 @@ export const dictionaries = {
     aboutDesc:
       "Stwórz pokój, zaproś znajomych i wczytaj dowolną playlistę ze Spotify lub YouTube. Gra automatycznie wyszuka utwory i pozwoli Wam rywalizować w zgadywaniu tytułów i wykonawców.",
     aboutRules:
-      "Możesz grać w trybie tekstowym (pisanie odpowiedzi na czacie) lub 'Buzzer' (kto pierwszy się zgłosi, odpowiada głosem).",
+      "Możesz grać w trybie tekstowym (pisanie odpowiedzi na czacie), 'Buzzer' (kto pierwszy się zgłosi, odpowiada głosem), 'Wybór' (wskaż jedną z czterech odpowiedzi) lub 'Eliminacje' (kto nie odgadnie albo odgadnie ostatni, traci życie).",
     legalNotice: "Nota prawna",
     legalDesc:
       "To jest projekt fanowski i niekomercyjny. Wszystkie utwory muzyczne oraz materiały wideo należą do ich odpowiednich właścicieli i są odtwarzane za pośrednictwem oficjalnego API YouTube. Aplikacja nie przechowuje ani nie udostępnia plików muzycznych.",
     close: "Zamknij",
+    teams: "Drużyny",
+    teamName: "Nazwa drużyny",
+    addTeam: "Dodaj drużynę",
+    deleteTeam: "Usuń",
+    noTeam: "Bez drużyny",
+    noMembers: "Brak graczy",
+    yourTeam: "Twoja drużyna",
+    teamSelfSelect: "Gracze sami wybierają drużynę",
+    oneBuzzPerTeam: "Jedno zgłoszenie (buzzer) na drużynę",
+    teamStandings: "Klasyfikacja drużyn:",
   },
 
   en: {
@@ -113,8 +218,33 @@ export const dictionaries = {
     send: "Send",
 
     gameSettings: "Game settings",
-    pastePlaylist: "Paste playlist link (Spotify/YouTube)",
+    pastePlaylist:
+      "Paste a playlist link (Spotify/YouTube), album or artist (Spotify)",
     loadPlaylist: "Load playlist",
+    addPlaylist: "+ Add another playlist",
+    uploadAudio: "Or upload your own files (MP3/OGG/FLAC or ZIP, up to 100 MB)",
+    importFile: "Or a song list (CSV/M3U/JSON)",
+    importSkipped: (n) => `Skipped rows: ${n}`,
+    importRowError: (row, error) => `Row ${row}: ${error}`,
+    quizSets: "Your quiz sets",
+    selectQuizSet: "Pick a set...",
+    quizNew: "+ New set",
+    quizEdit: "Edit",
+    quizDelete: "Delete",
+    quizDeleteConfirm: "Delete this set?",
+    quizBuilder: "Quiz set builder",
+    quizName: "Set name",
+    quizSearch: "Search YouTube...",
+    search: "Search",
+    quizAdd: "Add",
+    quizTitle: "Title (answer)",
+    quizArtist: "Artist",
+    quizAliases: "Other accepted titles, separated by |",
+    quizArtistAliases: "Other artist names",
+    quizSave: "Save set",
+    cancel: "Cancel",
+    weightHint: "×2 = twice as many songs from that playlist",
+    sourceCount: (name, picked, total) => `${name}: ${picked} of ${total}`,
     loading: "Loading...",
     loaded: "Loaded",
     playable: "Playable",
@@ -123,7 +253,28 @@ export const dictionaries = {
     gameMode: "Game mode",
     textMode: "Text (type your guess)",
     voiceMode: "Buzzer (answer on voice chat)",
+    choiceMode: "Multiple choice (pick 1 of 4)",
+    eliminationMode: "Elimination (last player standing)",
+    yearMode: "Release year (guess when the song came out)",
+    yearGuessMode: "Year guess",
+    matchProfile: "Answer tolerance",
+    matchLenient: "Lenient (typos and fragments)",
+    matchNormal: "Normal",
+    matchStrict: "Strict (nearly exact)",
+    yearExact: "Exact year",
+    yearDecade: "Decade",
+    yearBonus: "Bonus year rounds",
+    yearBonusOff: "Off",
+    yearBonusEvery: (n) => `Every ${n} rounds`,
     songCount: "Number of songs",
+    roundDuration: "Round time",
+    noTimeLimit: "No limit",
+    scoring: "Scoring",
+    scoringFlat: "Flat (10/5 pts)",
+    scoringSpeed: "Speed (bonus for fast answers)",
+    solveMode: "Who scores",
+    solveFirst: "First correct answer only",
+    solveEveryone: "Everyone (fewer points for later places)",
 
     startGame: "Start game",
     startRound: "Start round",
@@ -131,11 +282,57 @@ export const dictionaries = {
     round: "Round",
 
     hint: (t, a) => `Title: ${t} letters, Artist: ${a} letters`,
+    artistInitialHint: (l) => `Artist starts with: ${l}`,
+    yearHint: (y) => `Released: ${y}`,
+    yearRound: "Round: release year",
+    yearBonusRound: "Bonus round: release year",
+    yearPrompt: "What year did this song come out?",
+    yearPlaceholder: "e.g. 1984",
+    decadeLabel: (d) => `${d}s`,
+    yearGuessLine: (name, year, pts) => `${name} — ${year} (+${pts} pts)`,
+    hintsUsed: (n, max) => `Hints: ${n}/${max} (fewer points)`,
+    progressiveHints: "Progressive hints (each one costs points)",
+    snippetStart: "Clip starts at",
+    snippetFromStart: "Beginning",
+    snippetRandom: "Random point",
+    snippetChorus: "Chorus (roughly)",
+    introChallenge: "Intro challenge (1s, 3s, 5s - shorter means more points)",
+    introClip: (sec) => `Clip: ${sec}s`,
+    introFull: "Full track",
+    extendClip: "Extend clip",
+    freshOnly: "Fresh tracks only (skip recently played)",
+    resolving: (done, total, failed) =>
+      `Finding on YouTube: ${done}/${total}` +
+      (failed ? ` (not found: ${failed})` : ""),
+    seed: "Shuffle seed",
+    seedHint: "Empty = random, same text = same game",
+    lives: "Lives",
+    spectating: "You are out - watching until the end.",
+    lostLife: (name, lives) => `${name} loses a life (${lives} left)`,
+    eliminated: (name) => `${name} is out!`,
+    lastStanding: (names) => `Last one standing: ${names}`,
+    suddenDeath: (names) => `Sudden death: ${names}`,
+    sittingOut: "Sudden death - only the tied players answer.",
     yourAnswer: "Your answer...",
     guess: "Guess",
+    solvedBy: "Solved by",
+    separateFields: "Separate artist and title",
+    answerLocked: "Answer locked in.",
+    pickedStatus: (picked, total) => `Answered: ${picked}/${total}`,
+    youSolved: "You got it! Waiting for the others...",
+    solverLine: (name, sec, pts) => `${name} — ${sec}s (+${pts} pts)`,
+    guessReview: "Player answers — you can overturn a verdict",
+    reviewLine: (name, text, pts) => `${name}: "${text}" (+${pts} pts)`,
+    acceptGuess: "Accept",
+    rejectGuess: "Reject",
+    overturned: "verdict overturned",
     hiddenYT: "Hidden YouTube player",
+    timeLeft: (sec) => `Time left: ${sec}s`,
+    timeUp: "Time's up!",
 
     winner: (name, sec) => `${name} guessed in ${sec}s`,
+    pointsBreakdown: (base, bonus, total) =>
+      bonus ? `${base} + ${bonus} speed bonus = ${total} pts` : `${total} pts`,
     itWas: (title, artist) =>
       `It was: "${title}" ${artist ? "— " + artist : ""}`,
 
@@ -155,8 +352,10 @@ export const dictionaries = {
     check: "Check",
     artistOk: "✅ Artist OK",
     artistError: "❌ Artist ERROR",
+    artistClose: "🟡 Artist: close!",
     titleOk: "✅ Title OK",
     titleError: "❌ Title ERROR",
+    titleClose: "🟡 Title: close!",
     allCorrect: "Everything correct! Award points.",
     loginWithGoogle: "Sign in with Google",
     logout: "Sign out",
@@ -180,11 +379,21 @@ export const dictionaries = {
     aboutDesc:
       "Create a room, invite friends, and load any Spotify or YouTube playlist. The game will automatically search for tracks and let you compete in guessing titles and artists.",
     aboutRules:
-      "You can play in Text mode (typing answers in chat) or 'Buzzer' mode (the first one to buzz in answers via voice).",
+      "You can play in Text mode (typing answers in chat), 'Buzzer' mode (the first one to buzz in answers via voice), 'Multiple choice' (pick one of four answers) or 'Elimination' (miss a song or answer last and you lose a life).",
     legalNotice: "Legal Notice",
     legalDesc:
       "This is a fan-made, non-commercial project. All music tracks and video materials belong to their respective owners and are played via the official YouTube API. The application does not store or share music files.",
     close: "Close",
+    teams: "Teams",
+    teamName: "Team name",
+    addTeam: "Add team",
+    deleteTeam: "Delete",
+    noTeam: "No team",
+    noMembers: "No players",
+    yourTeam: "Your team",
+    teamSelfSelect: "Players pick their own team",
+    oneBuzzPerTeam: "One buzz per team",
+    teamStandings: "Team standings:",
   },
 };
 
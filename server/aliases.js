@@ -0,0 +1,101 @@
+// Accepted alternative answers. Tracks may carry `aliases` (other titles)
+// and `artistAliases` (stage names, other spellings, each artist of a
+// collaboration) from their source; more are derived from the title and
+// artist themselves when a round starts.
+
+export const MAX_ALIASES = 10;
+const MAX_ALIAS_LENGTH = 200;
+
+// Bracketed parts that name a version of the song, not another title. A year
+// alone is no version note, "1999" and "2002" are songs; it comes with one of
+// these words instead ("2011 Remaster", "Live 1985")
+const VERSION =
+  /\b(live|remix|mix|edit|version|wersja|feat|ft|prod|remaster(ed)?|acoustic|akustycznie|instrumental|radio|extended|cover|demo|mono|stereo|bonus|from|z filmu)\b/i;
+// Parts of a work or of an album, not names: "(Part 2)", "(Pt. II)", "(Reprise)"
+const SECTION =
+  /^(?:(?:part|pt|vol|volume|cz|część|chapter|act)\.?\s*[\w.]*|reprise|intro|outro|interlude|\d+|[ivx]+)$/i;
+const BRACKETED = /\(([^()]*)\)|\[([^[\]]*)\]/g;
+const FEAT = /\s+(?:feat|ft|featuring)\b\.?\s+/i;
+
+// "Remix" in "Despacito - Remix" names a version, not the song
+export function isVersionNote(text) {
+  return VERSION.test(text || "");
+}
+
+// Trimmed, de-duplicated strings, for aliases coming from hosts and files
+export function sanitizeAliases(list) {
+  if (!Array.isArray(list)) return [];
+  const seen = new Set();
+  const out = [];
+  for (const a of list) {
+    if (typeof a !== "string") continue;
+    const alias = a.trim().slice(0, MAX_ALIAS_LENGTH);
+    const key = alias.toLowerCase();
+    if (!alias || seen.has(key)) continue;
+    seen.add(key);
+    out.push(alias);
+  }
+  return out.slice(0, MAX_ALIASES);
+}
+
+const wordCount = (text) => text.split(/\s+/).filter(Boolean).length;
+
+// A bracket is another title when it has a few words, or when it is a
+// single word next to a short title, like the translation in "Żółta (Yellow)"
+function isBracketTitle(inside, bare) {
+  if (!inside || VERSION.test(inside) || SECTION.test(inside)) return false;
+  return wordCount(inside) > 1 || wordCount(bare) <= 2;
+}
+
+/**
+ * Other names hidden in a title: "Żółta (Yellow)" also accepts "Yellow"
+ * and "Żółta", "Song - Radio Edit" accepts "Song", "Tytuł / Title" both halves.
+ * Version and section notes ("Remix", "Part 2", "Reprise") are never answers.
+ */
+export function deriveTitleAliases(title) {
+  const t = (title || "").trim();
+  const out = [];
+  const bare = t.replace(BRACKETED, " ").replace(/\s+/g, " ").trim();
+  for (const m of t.matchAll(BRACKETED)) {
+    const inside = (m[1] ?? m[2]).trim();
+    if (isBracketTitle(inside, bare)) out.push(inside);
+  }
+  if (bare) out.push(bare);
+  const [beforeDash, ...afterDash] = bare.split(/\s+[-–—]\s+/);
+  if (afterDash.length) out.push(beforeDash);
+  const halves = beforeDash.split(/\s+\/\s+/);
+  if (halves.length === 2) out.push(...halves);
+  return out;
+}
+
+// "Artist feat. Guest" accepts the main artist alone, and guests on their own
+export function deriveArtistAliases(artist, featuring = []) {
+  const [main, ...guests] = (artist || "").split(FEAT);
+  return guests.length ? [main, ...guests, ...featuring] : [...featuring];
+}
+
+/**
+ * Everything accepted besides the title and artist themselves:
+ * { title: [...], artist: [...] }, stored on the round's answer.
+ */
+export function getAnswerAliases(track) {
+  const pick = (list, main) => {
+    const skip = (main || "").trim().toLowerCase();
+    return sanitizeAliases(
+      list.filter((a) => a?.trim().toLowerCase() !== skip),
+    );
+  };
+  return {
+    title: pick(
+      [...(track.aliases || []), ...deriveTitleAliases(track.title)],
+      track.title,
+    ),
+    artist: pick(
+      [
+        ...(track.artistAliases || []),
+        ...deriveArtistAliases(track.artist, track.featuring),
+      ],
+      track.artist,
+    ),
+  };
+}
@@ -0,0 +1,196 @@
+import admin from "firebase-admin";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Caches for playlist contents and track -> YouTube video resolutions.
+// Entries are { value, version, expiresAt }: a version (Spotify snapshot_id,
+// YouTube ETag) invalidates an entry before its TTL does.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// memory | file | firestore
+const BACKEND = process.env.CACHE_BACKEND || "memory";
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, "cache");
+const MAX_MEMORY_ENTRIES = 5000;
+// File backend writes are batched
+const FILE_FLUSH_MS = 2000;
+
+function memoryBackend() {
+  const entries = new Map();
+  return {
+    name: "memory",
+    entries,
+    // Copies, so callers shuffling a cached track list don't change the entry
+    async get(key) {
+      const entry = entries.get(key);
+      return entry ? structuredClone(entry) : null;
+    },
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, structuredClone(entry));
+      // Maps keep insertion order: the first key is the least recently set
+      if (entries.size > MAX_MEMORY_ENTRIES) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+  };
+}
+
+// Memory backend mirrored to CACHE_DIR/<namespace>.json
+function fileBackend(namespace) {
+  const mem = memoryBackend();
+  const file = path.join(CACHE_DIR, `${namespace}.json`);
+  try {
+    const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+    const now = Date.now();
+    for (const [key, entry] of Object.entries(saved)) {
+      if (entry.expiresAt > now) mem.entries.set(key, entry);
+    }
+  } catch (e) {
+    if (e.code !== "ENOENT")
+      console.warn(`Ignoring cache file ${file}:`, e.message);
+  }
+
+  let flushTimer = null;
+  function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      try {
+        fs.mkdirSync(CACHE_DIR, { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(Object.fromEntries(mem.entries)));
+      } catch (e) {
+        console.error(`Failed to write cache file ${file}:`, e.message);
+      }
+    }, FILE_FLUSH_MS);
+    flushTimer.unref();
+  }
+
+  return {
+    name: "file",
+    get: mem.get,
+    async set(key, entry) {
+      await mem.set(key, entry);
+      scheduleFlush();
+    },
+  };
+}
+
+function firestoreBackend(namespace) {
+  const col = () => admin.firestore().collection("cache");
+  // Keys hold URLs and titles, not valid document ids
+  const docId = (key) =>
+    crypto.createHash("md5").update(`${namespace}:${key}`).digest("hex");
+  return {
+    name: "firestore",
+    async get(key) {
+      const doc = await col().doc(docId(key)).get();
+      return doc.exists ? doc.data() : null;
+    },
+    async set(key, entry) {
+      await col().doc(docId(key)).set(entry);
+    },
+  };
+}
+
+// Firebase is initialised by server.js after the imports, so pick lazily
+function createBackend(namespace) {
+  if (BACKEND === "file") return fileBackend(namespace);
+  if (BACKEND === "firestore") {
+    if (admin.apps.length) return firestoreBackend(namespace);
+    console.warn("CACHE_BACKEND=firestore needs Firebase, using memory.");
+  }
+  return memoryBackend();
+}
+
+const caches = new Map();
+
+/**
+ * A named cache with its own TTL and hit/miss counters.
+ * `version` is optional on both get and set; a stored entry with another
+ * version counts as stale.
+ */
+export function createCache(namespace, { ttlMs }) {
+  let backend = null;
+  const stats = { hits: 0, misses: 0, stale: 0, errors: 0 };
+  const getBackend = () => (backend ||= createBackend(namespace));
+
+  async function get(key, { version } = {}) {
+    let entry = null;
+    try {
+      entry = await getBackend().get(key);
+    } catch (e) {
+      stats.errors++;
+      console.error(`Cache ${namespace} read failed:`, e.message);
+    }
+    if (!entry || entry.expiresAt <= Date.now()) {
+      stats.misses++;
+      return undefined;
+    }
+    if (version !== undefined && entry.version !== version) {
+      stats.stale++;
+      stats.misses++;
+      return undefined;
+    }
+    stats.hits++;
+    return entry.value;
+  }
+
+  async function set(key, value, { version = null, ttl = ttlMs } = {}) {
+    try {
+      await getBackend().set(key, {
+        value,
+        version,
+        expiresAt: Date.now() + ttl,
+      });
+    } catch (e) {
+      stats.errors++;
+      console.error(`Cache ${namespace} write failed:`, e.message);
+    }
+  }
+
+  // Cached value, or the loader's result (which is then stored)
+  async function getOrLoad(key, loader, options = {}) {
+    const cached = await get(key, options);
+    if (cached !== undefined) return cached;
+    const value = await loader();
+    await set(key, value, options);
+    return value;
+  }
+
+  const cache = {
+    get,
+    set,
+    getOrLoad,
+    stats: () => {
+      const lookups = stats.hits + stats.misses;
+      return {
+        backend: getBackend().name,
+        ...stats,
+        hitRate: lookups ? +(stats.hits / lookups).toFixed(3) : null,
+      };
+    },
+  };
+  caches.set(namespace, cache);
+  return cache;
+}
+
+// Playlist, album and artist contents; Spotify/YouTube versions keep them fresh
+export const playlistCache = createCache("playlists", {
+  ttlMs: 7 * 24 * 60 * 60 * 1000,
+});
+
+// "title|artist" -> { id, durationMs } found by youtube-sr, null for no result
+export const resolutionCache = createCache("resolutions", {
+  ttlMs: 30 * 24 * 60 * 60 * 1000,
+});
+// Misses are retried sooner, the video may be uploaded later
+export const NO_RESULT_TTL_MS = 60 * 60 * 1000;
+
+export function getCacheStats() {
+  return Object.fromEntries(
+    [...caches].map(([name, cache]) => [name, cache.stats()]),
+  );
+}
@@ -0,0 +1,48 @@
+import { normalize } from "./utils.js";
+import { shuffle } from "./shuffle.js";
+
+export const CHOICE_COUNT = 4;
+
+function toOption(track) {
+  return { title: track.title, artist: track.artist || "" };
+}
+
+/**
+ * Builds the answer options for a multiple-choice round.
+ * Wrong answers are drawn from the pool (other tracks of the game and the
+ * rest of the playlist), skipping anything with the same normalized title.
+ */
+export function buildChoiceOptions(
+  track,
+  pool = [],
+  count = CHOICE_COUNT,
+  random = Math.random,
+) {
+  const seen = new Set([normalize(track.title)]);
+  const wrong = [];
+
+  for (const candidate of shuffle([...pool], random)) {
+    if (wrong.length >= count - 1) break;
+    if (!candidate?.title) continue;
+    const key = normalize(candidate.title);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    wrong.push(toOption(candidate));
+  }
+
+  const correct = toOption(track);
+  const options = shuffle([correct, ...wrong], random);
+  return { options, correctIndex: options.indexOf(correct) };
+}
+
+// Keep only what is needed to render wrong answers
+export function sanitizeDistractorPool(pool, limit = 200) {
+  if (!Array.isArray(pool)) return [];
+  return pool
+    .filter((t) => t && typeof t.title === "string" && t.title.trim())
+    .slice(0, limit)
+    .map((t) => ({
+      title: t.title.slice(0, 200),
+      artist: typeof t.artist === "string" ? t.artist.slice(0, 200) : "",
+    }));
+}
@@ -0,0 +1,56 @@
+// Elimination mode: players lose lives and drop out until one is left.
+import { hasSolved, isSameSolver } from "./players.js";
+
+export const DEFAULT_LIVES = 3;
+export const MAX_LIVES = 10;
+
+export function normalizeLives(lives) {
+  const n = Math.round(Number(lives));
+  return Number.isFinite(n) && n >= 1 ? Math.min(MAX_LIVES, n) : DEFAULT_LIVES;
+}
+
+// Players without lives stay in the room as spectators
+export function isEliminated(player) {
+  return player?.lives === 0;
+}
+
+// Connected players still in the game: [[sid, user]]
+export function getAlivePlayers(room) {
+  return [...room.users.entries()].filter(
+    ([sid, u]) => !sid.startsWith("pending-") && !isEliminated(u),
+  );
+}
+
+export function isEliminationOver(room) {
+  return room.gameType === "elimination" && getAlivePlayers(room).length <= 1;
+}
+
+/**
+ * Takes a life from everyone who did not solve the round, also when nobody
+ * did; if that knocks out the last players, isEliminationOver ends the game
+ * without a survivor. When everybody solved it the slowest solver pays.
+ */
+export function applyRoundLosses(room) {
+  const r = room.currentRound;
+  const alive = getAlivePlayers(room);
+  const solvers = r.solvers || [];
+
+  let losers = alive.filter(([sid, u]) => !hasSolved(r, sid, u));
+  if (!losers.length && alive.length > 1) {
+    const slowest = [...solvers]
+      .reverse()
+      .find((s) => alive.some(([sid, u]) => isSameSolver(s, sid, u)));
+    losers = alive.filter(
+      ([sid, u]) => slowest && isSameSolver(slowest, sid, u),
+    );
+  }
+
+  const lostLife = [];
+  const eliminated = [];
+  for (const [sid, u] of losers) {
+    u.lives = Math.max(0, u.lives - 1);
+    lostLife.push({ sid, name: u.name, lives: u.lives });
+    if (isEliminated(u)) eliminated.push({ sid, name: u.name });
+  }
+  return { lostLife, eliminated };
+}
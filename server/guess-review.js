@@ -0,0 +1,99 @@
+// Host review of text-mode guesses. Every guess of a round is logged with
+// its verdict; once the round is over the host can overturn verdicts, and
+// titles the host accepted become alias candidates for the track.
+
+// Per round, keeps the persisted room small when players spam guesses
+export const MAX_LOGGED_GUESSES = 200;
+export const MAX_ALIAS_CANDIDATES = 100;
+
+/**
+ * Adds a guess to the round's log. `points` is what the guess awarded,
+ * hintLevel/introStage are kept so an overturned guess scores the same
+ * as it would have at the time. `key` (see players.js) finds the player
+ * again after a reconnect.
+ */
+export function logGuess(
+  r,
+  { sid, key, name, text, match, points, elapsedMs, hintLevel, introStage },
+) {
+  if (!r.guessLog) r.guessLog = [];
+  if (r.guessLog.length >= MAX_LOGGED_GUESSES) return null;
+  const entry = {
+    id: r.guessLog.length,
+    sid,
+    key,
+    name,
+    text,
+    // The part of the guess that was judged as the title
+    titleGuess: match.guess?.title || text,
+    result: match.result,
+    score: match.score,
+    artistCorrect: match.artistCorrect,
+    titleCorrect: match.titleCorrect,
+    points,
+    elapsedMs,
+    hintLevel,
+    introStage,
+    overturned: false,
+  };
+  r.guessLog.push(entry);
+  return entry;
+}
+
+// The host's view of the log: no socket ids or scoring context
+export function getReviewEntries(r) {
+  return (r?.guessLog || []).map(
+    ({
+      id,
+      name,
+      text,
+      result,
+      score,
+      artistCorrect,
+      titleCorrect,
+      points,
+      overturned,
+    }) => ({
+      id,
+      name,
+      text,
+      result,
+      score,
+      artistCorrect,
+      titleCorrect,
+      points,
+      overturned,
+    }),
+  );
+}
+
+/**
+ * Records a title the host accepted for a track (see trackKey in playlists.js).
+ * Later rounds of the same track in this room accept it like an alias.
+ */
+export function addAliasCandidate(room, key, track, alias, from) {
+  const text = (alias || "").trim();
+  if (!text) return null;
+  if (!room.aliasCandidates) room.aliasCandidates = [];
+  const known = room.aliasCandidates.find(
+    (c) => c.key === key && c.alias.toLowerCase() === text.toLowerCase(),
+  );
+  if (known) return known;
+  const candidate = {
+    key,
+    title: track.title,
+    artist: track.artist || "",
+    alias: text,
+    from,
+  };
+  room.aliasCandidates = [...room.aliasCandidates, candidate].slice(
+    -MAX_ALIAS_CANDIDATES,
+  );
+  return candidate;
+}
+
+export function getCandidateAliases(room, key) {
+  return (room.aliasCandidates || [])
+    .filter((c) => c.key === key)
+    .map((c) => c.alias);
+}
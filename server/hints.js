@@ -0,0 +1,99 @@
+// Hints revealed one by one while a round is running.
+// Steps that need data the track does not have (year, cover) are skipped.
+const HINT_STEPS = [
+  "titleMask", // word structure: "_ _ _ _   _ _"
+  "artistInitial",
+  "titleQuarter", // 1/4 of the title letters
+  "year",
+  "titleHalf", // 1/2 of the title letters
+  "cover",
+];
+
+// Time between reveals when the round has no time limit
+const DEFAULT_STEP_MS = 8_000;
+
+// Every revealed hint lowers the points still available by this share
+const PENALTY_PER_HINT = 0.1;
+const MIN_HINT_MULTIPLIER = 0.4;
+
+export function getTrackYear(track) {
+  const year = Number(
+    track?.year || String(track?.releaseDate || "").slice(0, 4),
+  );
+  return Number.isInteger(year) && year > 0 ? year : null;
+}
+
+function getSteps(track) {
+  return HINT_STEPS.filter((step) => {
+    if (step === "year") return !!getTrackYear(track);
+    if (step === "cover") return !!track?.cover;
+    return true;
+  });
+}
+
+export function getHintStepCount(track) {
+  return getSteps(track).length;
+}
+
+export function getHintStepMs(track, durationMs) {
+  if (!durationMs) return DEFAULT_STEP_MS;
+  // Leave the last slot of the round without new hints
+  return Math.floor(durationMs / (getHintStepCount(track) + 1));
+}
+
+export function getHintLevel(track, elapsedMs, durationMs) {
+  const level = Math.floor(elapsedMs / getHintStepMs(track, durationMs));
+  return Math.min(getHintStepCount(track), Math.max(0, level));
+}
+
+export function getHintMultiplier(level) {
+  return Math.max(MIN_HINT_MULTIPLIER, 1 - PENALTY_PER_HINT * (level || 0));
+}
+
+// Stable pseudo-random order of letter positions, so reveals don't reshuffle
+function revealOrder(title) {
+  const positions = [];
+  for (let i = 0; i < title.length; i++) {
+    if (/[\p{L}\p{N}]/u.test(title[i])) positions.push(i);
+  }
+  return positions.sort(
+    (a, b) =>
+      ((a * 7919 + title.charCodeAt(a)) % 101) -
+      ((b * 7919 + title.charCodeAt(b)) % 101),
+  );
+}
+
+export function maskTitle(title, share = 0) {
+  const chars = [...(title || "")];
+  const order = revealOrder(chars.join(""));
+  const shown = new Set(order.slice(0, Math.floor(order.length * share)));
+  return chars
+    .map((ch, i) => (!/[\p{L}\p{N}]/u.test(ch) ? ch : shown.has(i) ? ch : "_"))
+    .join(" ");
+}
+
+/**
+ * Hint object sent to clients for the given reveal level.
+ * Level 0 is the classic title/artist length hint.
+ */
+export function buildHint(track, level = 0) {
+  const hint = {
+    titleLen: track.title?.length || 0,
+    artistLen: track.artist?.length || 0,
+    level,
+    maxLevel: getHintStepCount(track),
+  };
+
+  const revealed = getSteps(track).slice(0, level);
+  for (const step of revealed) {
+    if (step === "titleMask") hint.maskedTitle = maskTitle(track.title, 0);
+    if (step === "titleQuarter")
+      hint.maskedTitle = maskTitle(track.title, 0.25);
+    if (step === "titleHalf") hint.maskedTitle = maskTitle(track.title, 0.5);
+    if (step === "artistInitial")
+      hint.artistInitial = (track.artist || "").trim().charAt(0) || null;
+    if (step === "year") hint.year = getTrackYear(track);
+    if (step === "cover") hint.cover = track.cover;
+  }
+  return hint;
+}
@@ -1,5 +1,6 @@
 import admin from "firebase-admin";
 import crypto from "crypto";
+import { rememberPlayed } from "./shuffle.js";
 
 // Helper to create a stable ID for a user-playlist combination
 function getPlaylistDocId(uid, url) {
@@ -63,3 +64,117 @@ export async function getPlaylistHistory(uid) {
     return [];
   }
 }
+
+// ===== Quiz sets =====
+// Stored next to user_playlists; only the owner can read or change a set.
+
+export async function saveQuizSet(uid, id, { name, tracks }) {
+  if (!admin.apps.length) return null;
+  const db = admin.firestore();
+  const col = db.collection("user_quiz_sets");
+  try {
+    const ref = id ? col.doc(id) : col.doc();
+    if (id) {
+      const existing = await ref.get();
+      if (!existing.exists || existing.data().uid !== uid) return null;
+    }
+    await ref.set({
+      uid,
+      name,
+      tracks,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return ref.id;
+  } catch (e) {
+    console.error("Failed to save quiz set:", e);
+    return null;
+  }
+}
+
+// Summaries only, the tracks are loaded with getQuizSet
+export async function getQuizSets(uid) {
+  if (!admin.apps.length) return [];
+  const db = admin.firestore();
+  try {
+    const snapshot = await db
+      .collection("user_quiz_sets")
+      .where("uid", "==", uid)
+      .limit(50)
+      .get();
+    const sets = snapshot.docs.map((doc) => ({
+      id: doc.id,
+      name: doc.data().name,
+      trackCount: doc.data().tracks?.length || 0,
+      updatedAt: doc.data().updatedAt?.toMillis?.() || 0,
+    }));
+    sets.sort((a, b) => b.updatedAt - a.updatedAt);
+    return sets;
+  } catch (e) {
+    console.error("Failed to fetch quiz sets:", e);
+    return [];
+  }
+}
+
+export async function getQuizSet(uid, id) {
+  if (!admin.apps.length) return null;
+  try {
+    const doc = await admin
+      .firestore()
+      .collection("user_quiz_sets")
+      .doc(id)
+      .get();
+    if (!doc.exists || doc.data().uid !== uid) return null;
+    return { id: doc.id, name: doc.data().name, tracks: doc.data().tracks };
+  } catch (e) {
+    console.error("Failed to fetch quiz set:", e);
+    return null;
+  }
+}
+
+export async function deleteQuizSet(uid, id) {
+  if (!(await getQuizSet(uid, id))) return false;
+  try {
+    await admin.firestore().collection("user_quiz_sets").doc(id).delete();
+    return true;
+  } catch (e) {
+    console.error("Failed to delete quiz set:", e);
+    return false;
+  }
+}
+
+// ===== Recently played tracks =====
+// One document per user: keys of the last songs heard (see shuffle.js)
+
+export async function getRecentTracks(uid) {
+  if (!admin.apps.length) return [];
+  try {
+    const doc = await admin
+      .firestore()
+      .collection("user_recent_tracks")
+      .doc(uid)
+      .get();
+    return doc.exists ? doc.data().keys || [] : [];
+  } catch (e) {
+    console.error("Failed to fetch recent tracks:", e);
+    return [];
+  }
+}
+
+// In a transaction: rooms of the same player may write at once
+export async function addRecentTracks(uid, keys) {
+  if (!admin.apps.length) return;
+  const db = admin.firestore();
+  const ref = db.collection("user_recent_tracks").doc(uid);
+  try {
+    await db.runTransaction(async (t) => {
+      const doc = await t.get(ref);
+      const recent = doc.exists ? doc.data().keys || [] : [];
+      t.set(ref, {
+        keys: rememberPlayed(recent, keys),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+  } catch (e) {
+    console.error("Failed to save recent tracks:", e);
+  }
+}
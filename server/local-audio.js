@@ -0,0 +1,207 @@
+import AdmZip from "adm-zip";
+import { parseBuffer } from "music-metadata";
+import { nanoid } from "nanoid";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import zlib from "zlib";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Uploaded libraries live in UPLOAD_DIR/<libraryId>/ and are served by /api/local-audio
+export const UPLOAD_DIR =
+  process.env.UPLOAD_DIR || path.join(__dirname, "uploads");
+
+export const AUDIO_EXTENSIONS = [
+  ".mp3",
+  ".ogg",
+  ".oga",
+  ".opus",
+  ".flac",
+  ".m4a",
+  ".wav",
+];
+export const MAX_UPLOAD_FILES = 200;
+// Whole upload request, zips included
+export const MAX_UPLOAD_SIZE = 100 * 1024 * 1024;
+// Multer writes uploads here; they are removed once imported
+export const UPLOAD_TMP_DIR = path.join(os.tmpdir(), "jtm-uploads");
+// Guards against zip bombs: counted while inflating, not from the zip headers
+const MAX_UNPACKED_SIZE = 500 * 1024 * 1024;
+const MAX_UNPACKED_FILE_SIZE = 100 * 1024 * 1024;
+// Libraries older than this are removed on the next upload
+const LIBRARY_TTL_MS = 24 * 60 * 60 * 1000;
+
+const COVER_EXTENSIONS = { "image/jpeg": ".jpg", "image/png": ".png" };
+
+function isAudioFile(name) {
+  return AUDIO_EXTENSIONS.includes(path.extname(name).toLowerCase());
+}
+
+// Inflates one zip entry, failing as soon as it outgrows `limit` bytes
+function inflateEntry(entry, limit) {
+  const data = entry.getCompressedData();
+  if (entry.header.method === 0) {
+    if (data.length > limit) throw new Error("Zip archive is too large.");
+    return data;
+  }
+  if (entry.header.method !== 8)
+    throw new Error(`Unsupported compression in ${entry.entryName}.`);
+  try {
+    return zlib.inflateRawSync(data, { maxOutputLength: limit });
+  } catch (e) {
+    if (e instanceof RangeError) throw new Error("Zip archive is too large.");
+    throw e;
+  }
+}
+
+/**
+ * Lists the audio in the uploaded files (multer disk storage), unpacking
+ * zips: [{ name, read() }]. Buffers are only made one file at a time.
+ */
+function collectAudioFiles(files) {
+  const result = [];
+  let unpacked = 0;
+  for (const file of files) {
+    if (path.extname(file.originalname).toLowerCase() === ".zip") {
+      const zip = new AdmZip(file.path);
+      for (const entry of zip.getEntries()) {
+        const name = path.basename(entry.entryName);
+        if (entry.isDirectory || name.startsWith(".") || !isAudioFile(name))
+          continue;
+        if (entry.entryName.startsWith("__MACOSX/")) continue;
+        result.push({
+          name,
+          read: () => {
+            const limit = Math.min(
+              MAX_UNPACKED_FILE_SIZE,
+              MAX_UNPACKED_SIZE - unpacked,
+            );
+            const buffer = inflateEntry(entry, limit);
+            unpacked += buffer.length;
+            return buffer;
+          },
+        });
+      }
+    } else if (isAudioFile(file.originalname)) {
+      result.push({
+        name: file.originalname,
+        read: () => fs.readFileSync(file.path),
+      });
+    }
+  }
+  return result.slice(0, MAX_UPLOAD_FILES);
+}
+
+// Multer's temporary files, whether the import worked or not
+export function removeUploadedFiles(files) {
+  for (const file of files || []) {
+    if (file.path) fs.rmSync(file.path, { force: true });
+  }
+}
+
+// Files without tags are often named "Artist - Title.mp3"
+function tagsFromFileName(name) {
+  const base = path.basename(name, path.extname(name)).replace(/_/g, " ");
+  const [artist, ...rest] = base.split(/\s+-\s+/);
+  return rest.length
+    ? { artist: artist.trim(), title: rest.join(" - ").trim() }
+    : { artist: "", title: base.trim() };
+}
+
+function pruneOldLibraries() {
+  if (!fs.existsSync(UPLOAD_DIR)) return;
+  const now = Date.now();
+  for (const entry of fs.readdirSync(UPLOAD_DIR, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+    const dir = path.join(UPLOAD_DIR, entry.name);
+    if (now - fs.statSync(dir).mtimeMs > LIBRARY_TTL_MS) {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Stores uploaded audio files (or zips of them) as a new library and reads
+ * title/artist/cover from their ID3/Vorbis tags. Returns the same shape as
+ * the Spotify/YouTube fetchers.
+ */
+export async function importAudioFiles(files) {
+  const audio = collectAudioFiles(files || []);
+  if (!audio.length) throw new Error("No supported audio files uploaded.");
+
+  pruneOldLibraries();
+  const libraryId = nanoid(10);
+  const dir = path.join(UPLOAD_DIR, libraryId);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const tracks = [];
+  try {
+    for (const file of audio) {
+      tracks.push(await storeAudioFile(file, dir, libraryId));
+    }
+  } catch (e) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw e;
+  }
+
+  return {
+    source: "local",
+    playlistId: libraryId,
+    playlistName: `Local files (${tracks.length})`,
+    total: tracks.length,
+    playable: tracks.length,
+    tracks,
+  };
+}
+
+// Writes one file to the library and turns its tags into a track
+async function storeAudioFile(file, dir, libraryId) {
+  const id = nanoid(8);
+  const ext = path.extname(file.name).toLowerCase();
+  const buffer = file.read();
+
+  let common = {};
+  let durationMs = null;
+  try {
+    const meta = await parseBuffer(buffer, { path: file.name });
+    common = meta.common;
+    durationMs = meta.format.duration
+      ? Math.round(meta.format.duration * 1000)
+      : null;
+  } catch (e) {
+    console.warn(`Could not read tags of ${file.name}:`, e.message);
+  }
+  const fallback = tagsFromFileName(file.name);
+
+  fs.writeFileSync(path.join(dir, id + ext), buffer);
+
+  let cover = null;
+  const picture = common.picture?.[0];
+  const coverExt = picture && COVER_EXTENSIONS[picture.format];
+  if (coverExt) {
+    fs.writeFileSync(path.join(dir, id + coverExt), picture.data);
+    cover = `/api/local-audio/${libraryId}/${id}${coverExt}`;
+  }
+
+  return {
+    id: `${libraryId}-${id}`,
+    title: common.title || fallback.title,
+    artist:
+      common.artist || (common.artists || []).join(", ") || fallback.artist,
+    year: common.year || null,
+    durationMs,
+    cover,
+    audioUrl: `/api/local-audio/${libraryId}/${id}${ext}`,
+    source: "local",
+  };
+}
+
+// Absolute path of a stored file, null for anything outside the library
+export function resolveLocalFile(libraryId, fileName) {
+  if (!/^[\w-]+$/.test(libraryId) || !/^[\w-]+\.\w+$/.test(fileName))
+    return null;
+  const file = path.join(UPLOAD_DIR, libraryId, fileName);
+  return fs.existsSync(file) ? file : null;
+}
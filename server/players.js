@@ -0,0 +1,37 @@
+// Who a player is across reconnects. Socket ids change when a player
+// reconnects, so logged-in players are known by their uid and guests by
+// the random `guestId` their browser sends with joinRoom. Names are not
+// unique (every unnamed guest is "Gracz") and never identify anyone.
+
+const GUEST_ID = /^[\w-]{8,64}$/;
+
+export function sanitizeGuestId(id) {
+  return typeof id === "string" && GUEST_ID.test(id) ? id : null;
+}
+
+// Stable key of a room.users entry, null for a guest without a guestId
+export function getPlayerKey(player) {
+  if (player?.uid) return `uid:${player.uid}`;
+  if (player?.guestId) return `guest:${player.guestId}`;
+  return null;
+}
+
+// [sid, user] of the connected player with this socket id or key
+export function findPlayer(room, { sid, key }) {
+  if (sid && room.users.has(sid)) return [sid, room.users.get(sid)];
+  if (!key) return null;
+  return (
+    [...room.users.entries()].find(([, u]) => getPlayerKey(u) === key) || null
+  );
+}
+
+// Solvers carry the key of the player who solved (see getPlayerKey)
+export function isSameSolver(solver, sid, player) {
+  if (solver.sid === sid) return true;
+  const key = getPlayerKey(player);
+  return !!key && solver.key === key;
+}
+
+export function hasSolved(r, sid, player) {
+  return (r?.solvers || []).some((s) => isSameSolver(s, sid, player));
+}
@@ -0,0 +1,271 @@
+import path from "path";
+import { sanitizeAliases } from "./aliases.js";
+
+export const IMPORT_FORMATS = [".csv", ".m3u", ".m3u8", ".json"];
+export const MAX_IMPORT_ROWS = 300;
+export const MAX_IMPORT_SIZE = 2 * 1024 * 1024;
+
+// Accepted column names (lowercase) for CSV headers and JSON keys
+const COLUMNS = {
+  title: ["title", "tytuł", "tytul", "song", "name"],
+  artist: ["artist", "wykonawca", "performer"],
+  youtube: ["youtube", "url", "link", "video", "videoid", "video_id"],
+  start: ["start", "startat", "start_at", "offset"],
+  aliases: ["aliases", "alias", "alternatives", "answers", "odpowiedzi"],
+  artistAliases: ["artist_aliases", "artistaliases", "aliasy_wykonawcy"],
+  year: ["year", "rok", "released"],
+};
+// Header-less CSV files use this column order
+const DEFAULT_ORDER = [
+  "title",
+  "artist",
+  "youtube",
+  "start",
+  "aliases",
+  "year",
+  "artistAliases",
+];
+
+const YT_ID = /^[a-zA-Z0-9_-]{11}$/;
+
+/**
+ * Video ID from a bare ID or any common YouTube URL
+ * (watch?v=, youtu.be/, shorts/, embed/). null when it isn't YouTube.
+ */
+export function extractYouTubeVideoId(value) {
+  const s = String(value || "").trim();
+  if (YT_ID.test(s)) return s;
+  let u;
+  try {
+    u = new URL(s);
+  } catch (e) {
+    return null;
+  }
+  if (!/(^|\.)(youtube\.com|youtu\.be)$/.test(u.hostname)) return null;
+  const id =
+    u.searchParams.get("v") ||
+    (u.hostname.endsWith("youtu.be") && u.pathname.slice(1)) ||
+    u.pathname.match(/\/(?:shorts|embed|live)\/([^/?#]+)/)?.[1];
+  return YT_ID.test(id || "") ? id : null;
+}
+
+/**
+ * Seconds from "90", "1:30", "1m30s" or "90s". Empty means no offset,
+ * NaN marks an invalid value.
+ */
+export function parseStartOffset(value) {
+  const s = String(value ?? "").trim();
+  if (!s) return null;
+  if (/^\d+(\.\d+)?$/.test(s)) return Math.floor(Number(s));
+  const clock = s.match(/^(?:(\d+):)?(\d+):(\d{1,2})$/);
+  if (clock) return (+clock[1] || 0) * 3600 + +clock[2] * 60 + +clock[3];
+  const units = s.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/i);
+  if (units)
+    return (+units[1] || 0) * 3600 + (+units[2] || 0) * 60 + (+units[3] || 0);
+  return NaN;
+}
+
+function startFromUrl(value) {
+  try {
+    const u = new URL(String(value));
+    return parseStartOffset(
+      u.searchParams.get("t") || u.searchParams.get("start"),
+    );
+  } catch (e) {
+    return null;
+  }
+}
+
+function splitAliases(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split("|");
+  return sanitizeAliases(list.map((a) => String(a)));
+}
+
+// Minimal RFC 4180 reader: quoted fields, "" escapes, newlines inside quotes
+function parseCsv(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && !field) {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function columnFor(name) {
+  const key = String(name || "")
+    .trim()
+    .toLowerCase();
+  return Object.keys(COLUMNS).find((col) => COLUMNS[col].includes(key));
+}
+
+function readCsv(text) {
+  // Spreadsheets in many locales export with ";" instead of ","
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [";", "\t", ","].reduce((best, d) =>
+    firstLine.split(d).length > firstLine.split(best).length ? d : best,
+  );
+  const lines = parseCsv(text, delimiter);
+
+  const header = lines[0]?.map(columnFor) || [];
+  const hasHeader = header.includes("title");
+  const columns = hasHeader ? header : DEFAULT_ORDER;
+
+  const rows = [];
+  lines.slice(hasHeader ? 1 : 0).forEach((cells, i) => {
+    if (cells.every((c) => !c.trim())) return;
+    const raw = {};
+    columns.forEach((col, idx) => {
+      if (col) raw[col] = cells[idx];
+    });
+    rows.push({ row: i + (hasHeader ? 2 : 1), ...raw });
+  });
+  return rows;
+}
+
+// #EXTINF:<seconds>,Artist - Title followed by the location line
+function readM3u(text) {
+  const rows = [];
+  let info = null;
+  let start = null;
+  text.split(/\r?\n/).forEach((line, i) => {
+    const l = line.trim();
+    if (!l) return;
+    if (l.startsWith("#EXTINF:")) {
+      info = l.slice(l.indexOf(",") + 1).trim();
+    } else if (l.startsWith("#EXTVLCOPT:start-time=")) {
+      start = l.split("=")[1];
+    } else if (!l.startsWith("#")) {
+      const label =
+        info || path.basename(l, path.extname(l)).replace(/_/g, " ");
+      const [artist, ...rest] = label.split(/\s+-\s+/);
+      rows.push({
+        row: i + 1,
+        title: rest.length ? rest.join(" - ") : label,
+        artist: rest.length ? artist : "",
+        youtube: l,
+        start: start ?? startFromUrl(l),
+        fromPlaylistFile: true,
+      });
+      info = null;
+      start = null;
+    }
+  });
+  return rows;
+}
+
+function readJson(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data?.tracks;
+  if (!Array.isArray(list))
+    throw new Error("JSON must be an array of tracks or { tracks: [...] }.");
+  return list.map((item, i) => {
+    const raw = { row: i + 1 };
+    for (const [key, value] of Object.entries(item || {})) {
+      const col = columnFor(key);
+      if (col) raw[col] = value;
+    }
+    return raw;
+  });
+}
+
+// Raw row -> { track } or { error }
+function validateRow(raw) {
+  const title = String(raw.title ?? "").trim();
+  if (!title) return { error: "Missing title." };
+
+  const link = String(raw.youtube ?? "").trim();
+  const videoId = link ? extractYouTubeVideoId(link) : null;
+  // M3U locations may be local paths, those are looked up by title instead
+  if (link && !videoId && !raw.fromPlaylistFile)
+    return { error: `Not a YouTube URL or video ID: ${link}` };
+
+  const startAt =
+    raw.start != null && raw.start !== ""
+      ? parseStartOffset(raw.start)
+      : videoId
+        ? startFromUrl(link)
+        : null;
+  if (Number.isNaN(startAt))
+    return { error: `Invalid start offset: ${raw.start}` };
+
+  const year = raw.year != null && raw.year !== "" ? Number(raw.year) : null;
+  if (year !== null && !(Number.isInteger(year) && year > 0))
+    return { error: `Invalid year: ${raw.year}` };
+
+  return {
+    track: {
+      title: title.slice(0, 200),
+      artist: String(raw.artist ?? "")
+        .trim()
+        .slice(0, 200),
+      videoId,
+      startAt,
+      year,
+      aliases: splitAliases(raw.aliases),
+      artistAliases: splitAliases(raw.artistAliases),
+    },
+  };
+}
+
+/**
+ * Reads an uploaded CSV/M3U/JSON file into validated rows.
+ * Returns { name, rows: [{ row, track }], errors: [{ row, error }] };
+ * row numbers point at the line (CSV/M3U) or array index + 1 (JSON).
+ */
+export function parseImportFile(fileName, text) {
+  const ext = path.extname(fileName || "").toLowerCase();
+  if (!IMPORT_FORMATS.includes(ext))
+    throw new Error("Supported files: CSV, M3U and JSON.");
+
+  const body = String(text || "").replace(/^\uFEFF/, "");
+  const raw =
+    ext === ".csv"
+      ? readCsv(body)
+      : ext === ".json"
+        ? readJson(body)
+        : readM3u(body);
+
+  const rows = [];
+  const errors = [];
+  for (const r of raw.slice(0, MAX_IMPORT_ROWS)) {
+    const { track, error } = validateRow(r);
+    if (error) errors.push({ row: r.row, error });
+    else rows.push({ row: r.row, track });
+  }
+  if (raw.length > MAX_IMPORT_ROWS) {
+    errors.push({
+      row: raw[MAX_IMPORT_ROWS].row,
+      error: `Only the first ${MAX_IMPORT_ROWS} rows are imported.`,
+    });
+  }
+  return { name: path.basename(fileName, ext), rows, errors };
+}
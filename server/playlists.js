@@ -0,0 +1,88 @@
+import { normalize } from "./utils.js";
+
+// Hosts can mix a few playlists, not build a whole library
+export const MAX_SOURCES = 5;
+const MAX_WEIGHT = 10;
+
+/**
+ * Request body → [{ url, weight }]. Accepts a single `url` or `urls` given
+ * as strings or { url, weight } objects.
+ */
+export function normalizeSources({ url, urls }) {
+  const list = Array.isArray(urls) && urls.length ? urls : [url];
+  return list
+    .map((s) => (typeof s === "string" ? { url: s } : s || {}))
+    .map((s) => {
+      const weight = Number(s.weight);
+      return {
+        url: typeof s.url === "string" ? s.url.trim() : "",
+        weight: weight > 0 ? Math.min(MAX_WEIGHT, weight) : 1,
+      };
+    })
+    .filter((s) => s.url)
+    .slice(0, MAX_SOURCES);
+}
+
+// Same song from Spotify and YouTube should collapse into one entry.
+// YouTube titles usually carry the artist: "Artist - Title".
+export function trackKey(track) {
+  let artist = track.artist || "";
+  let title = track.title || "";
+  if (track.source === "youtube") {
+    const [prefix, ...rest] = title.split(/\s+[-–—]\s+/);
+    if (rest.length) {
+      artist = prefix;
+      title = rest.join(" ");
+    }
+  }
+  const firstArtist = artist.split(/,|&|\bx\b/i)[0];
+  return `${normalize(firstArtist)}|${normalize(title)}`;
+}
+
+// Drops tracks already seen in an earlier source (or earlier in the same one)
+export function dedupeSources(sources) {
+  const seen = new Set();
+  for (const source of sources) {
+    source.tracks = source.tracks.filter((t) => {
+      const key = trackKey(t);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+  return sources;
+}
+
+/**
+ * Splits `total` songs between sources proportionally to their weights,
+ * never asking a source for more than it has. Whatever a small source
+ * can't cover goes to the others.
+ */
+export function allocateQuotas(sizes, weights, total) {
+  const quotas = sizes.map(() => 0);
+  let left = Math.min(
+    total,
+    sizes.reduce((a, b) => a + b, 0),
+  );
+
+  while (left > 0) {
+    const open = sizes.map((_, i) => i).filter((i) => quotas[i] < sizes[i]);
+    const weightSum = open.reduce((sum, i) => sum + weights[i], 0);
+
+    let given = 0;
+    for (const i of open) {
+      const share = Math.floor((left * weights[i]) / weightSum);
+      const add = Math.min(share, sizes[i] - quotas[i]);
+      quotas[i] += add;
+      given += add;
+    }
+    if (!given) {
+      // Rounding left a few songs: the heaviest open source takes one
+      const i = open.reduce((a, b) => (weights[b] > weights[a] ? b : a));
+      quotas[i] += 1;
+      given = 1;
+    }
+    left -= given;
+  }
+  return quotas;
+}
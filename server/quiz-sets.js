@@ -0,0 +1,91 @@
+import { YouTube } from "youtube-sr";
+import { parseYouTubeTitle } from "./youtube-title.js";
+import { sanitizeAliases } from "./aliases.js";
+
+// Quiz sets: hand-picked YouTube tracks with edited answers and aliases,
+// stored per user in Firestore (see history.js)
+
+export const MAX_QUIZ_TRACKS = 100;
+const MAX_TEXT = 200;
+const SEARCH_LIMIT = 10;
+
+const YT_ID = /^[a-zA-Z0-9_-]{11}$/;
+
+function cleanText(value, max = MAX_TEXT) {
+  return typeof value === "string" ? value.trim().slice(0, max) : "";
+}
+
+// The parsed video title is a good first guess for the answer
+function suggestAnswer(video) {
+  const { title, artist } = parseYouTubeTitle(video.title, video.channel?.name);
+  return { title, artist };
+}
+
+/**
+ * YouTube search for the builder via youtube-sr (no API quota).
+ * Returns [{ id, videoTitle, title, artist, durationMs, cover }].
+ */
+export async function searchQuizTracks(query) {
+  const q = cleanText(query);
+  if (!q) return [];
+  const videos = await YouTube.search(q, {
+    limit: SEARCH_LIMIT,
+    type: "video",
+  });
+  return videos
+    .filter((v) => v?.id)
+    .map((v) => ({
+      id: v.id,
+      videoTitle: v.title || "",
+      ...suggestAnswer(v),
+      durationMs: v.duration || null,
+      cover: v.thumbnail?.url || null,
+    }));
+}
+
+/**
+ * Request body → { name, tracks } ready to store, or { error }.
+ * Tracks keep the edited answer (title/artist) and accepted aliases for both.
+ */
+export function sanitizeQuizSet(body) {
+  const name = cleanText(body?.name, 80);
+  if (!name) return { error: "Quiz set needs a name." };
+  if (!Array.isArray(body.tracks) || !body.tracks.length)
+    return { error: "Add at least one track." };
+  if (body.tracks.length > MAX_QUIZ_TRACKS)
+    return { error: `Quiz sets hold up to ${MAX_QUIZ_TRACKS} tracks.` };
+
+  const tracks = [];
+  for (const [i, t] of body.tracks.entries()) {
+    const id = t?.id;
+    const title = cleanText(t?.title);
+    if (!YT_ID.test(id || "")) return { error: `Track ${i + 1}: bad video.` };
+    if (!title) return { error: `Track ${i + 1}: missing title.` };
+    tracks.push({
+      id,
+      title,
+      artist: cleanText(t.artist),
+      aliases: sanitizeAliases(t.aliases),
+      artistAliases: sanitizeAliases(t.artistAliases),
+      cover:
+        typeof t.cover === "string" && t.cover.startsWith("https://")
+          ? t.cover
+          : `https://i.ytimg.com/vi/${id}/hqdefault.jpg`,
+      durationMs: Number(t.durationMs) > 0 ? Number(t.durationMs) : null,
+    });
+  }
+  return { name, tracks };
+}
+
+// Stored set → the same shape as the playlist fetchers
+export function quizSetToPlaylist(set) {
+  return {
+    source: "youtube",
+    linkType: "quiz",
+    playlistId: set.id,
+    playlistName: set.name,
+    total: set.tracks.length,
+    playable: set.tracks.length,
+    tracks: set.tracks.map((t) => ({ ...t, source: "youtube" })),
+  };
+}
@@ -8,12 +8,31 @@ import admin from "firebase-admin";
  *   hostUid: string (persistent),
  *   mode: string,
  *   gameType: string,
+ *   roundDuration: number,
+ *   scoring: string,
+ *   solveMode: string,
+ *   distractorPool: [ ... ],
+ *   extraTracks: [ ... ],
+ *   tiebreak: [ socketId ] | null,
+ *   teams: [ { id, name, score } ],
+ *   teamSelfSelect: boolean,
+ *   oneBuzzPerTeam: boolean,
+ *   progressiveHints: boolean,
+ *   yearGuess: string,
+ *   yearBonusEvery: number,
+ *   matchProfile: string,
+ *   snippetStart: string,
+ *   introChallenge: boolean,
+ *   startingLives: number,
+ *   seed: string,
+ *   recentTracks: [ trackKey ],
+ *   aliasCandidates: [ { key, title, artist, alias, from } ],
  *   roundCount: number,
  *   tracks: [ ... ],
  *   answersKnown: boolean,
  *   currentRound: { ... },
  *   players: {
- *     [uid]: { name, score, photoURL }
+ *     [uid]: { name, score, photoURL, teamId, lives }
  *   }
  * }
  */
@@ -30,7 +49,13 @@ export async function saveRoom(code, data) {
     const players = {};
     if (data.users && data.users instanceof Map) {
       for (let [sid, u] of data.users.entries()) {
-        if (u.uid) players[u.uid] = { name: u.name, score: u.score };
+        if (u.uid)
+          players[u.uid] = {
+            name: u.name,
+            score: u.score,
+            teamId: u.teamId || null,
+            lives: u.lives ?? null,
+          };
       }
     } else if (data.players) {
       Object.assign(players, data.players);
@@ -41,6 +66,25 @@ export async function saveRoom(code, data) {
       hostUid: data.hostUid || "",
       mode: data.mode || "spotify",
       gameType: data.gameType || "text",
+      roundDuration: data.roundDuration ?? 30,
+      scoring: data.scoring || "flat",
+      solveMode: data.solveMode || "first",
+      distractorPool: data.distractorPool || [],
+      extraTracks: data.extraTracks || [],
+      tiebreak: data.tiebreak || null,
+      teams: data.teams || [],
+      teamSelfSelect: !!data.teamSelfSelect,
+      oneBuzzPerTeam: !!data.oneBuzzPerTeam,
+      progressiveHints: !!data.progressiveHints,
+      yearGuess: data.yearGuess || "year",
+      yearBonusEvery: data.yearBonusEvery || 0,
+      matchProfile: data.matchProfile || "normal",
+      snippetStart: data.snippetStart || "start",
+      introChallenge: !!data.introChallenge,
+      startingLives: data.startingLives || null,
+      seed: data.seed || "",
+      recentTracks: data.recentTracks || [],
+      aliasCandidates: data.aliasCandidates || [],
       roundCount: data.roundCount || 0,
       tracks: data.tracks || [],
       answersKnown: !!data.answersKnown,
@@ -0,0 +1,93 @@
+import { getHintMultiplier } from "./hints.js";
+import { getIntroMultiplier } from "./snippet.js";
+
+export const SCORING_MODES = ["flat", "speed"];
+// "first": the first correct answer ends the round
+// "everyone": each player can solve once, later finishers get fewer points
+export const SOLVE_MODES = ["first", "everyone"];
+
+const FULL_ANSWER_POINTS = 10; // artist + title
+const TITLE_ONLY_POINTS = 5;
+const ARTIST_ONLY_POINTS = 3; // partial credit, does not solve the round
+
+// Speed bonus decays over this window when the round has no time limit
+const DEFAULT_SPEED_WINDOW_MS = 30_000;
+
+// Share of the points kept by the 1st, 2nd, 3rd... solver, the last value
+// applies to everyone further down
+const POSITION_MULTIPLIERS = [1, 0.8, 0.6, 0.5, 0.4, 0.3];
+
+export function normalizeScoringMode(mode) {
+  return SCORING_MODES.includes(mode) ? mode : "flat";
+}
+
+export function normalizeSolveMode(mode) {
+  return SOLVE_MODES.includes(mode) ? mode : "first";
+}
+
+// position is 1-based
+export function getPositionMultiplier(position) {
+  if (!position || position < 1) return 1;
+  const idx = Math.min(position, POSITION_MULTIPLIERS.length) - 1;
+  return POSITION_MULTIPLIERS[idx];
+}
+
+export function getBasePoints({ artistCorrect, titleCorrect }) {
+  if (artistCorrect && titleCorrect) return FULL_ANSWER_POINTS;
+  if (titleCorrect) return TITLE_ONLY_POINTS;
+  if (artistCorrect) return ARTIST_ONLY_POINTS;
+  return 0;
+}
+
+/**
+ * Points for a correct text-mode guess.
+ * In "speed" mode an instant answer doubles the base points and the bonus
+ * drops linearly to zero at the end of the round (or the default window).
+ * elapsedMs should already exclude paused time. When several players can
+ * solve the same round, position (1-based) scales the result down, and so
+ * does every hint revealed before the answer came in (hintLevel) and every
+ * clip extension in the intro challenge (introStage, null when not playing it).
+ */
+export function calculateGuessPoints({
+  artistCorrect,
+  titleCorrect,
+  elapsedMs,
+  durationMs,
+  scoring,
+  position = 1,
+  hintLevel = 0,
+  introStage = null,
+}) {
+  const base = getBasePoints({ artistCorrect, titleCorrect });
+
+  let speedBonus = 0;
+  if (base > 0 && normalizeScoringMode(scoring) === "speed") {
+    const windowMs = durationMs > 0 ? durationMs : DEFAULT_SPEED_WINDOW_MS;
+    const ratio = Math.min(1, Math.max(0, elapsedMs / windowMs));
+    speedBonus = Math.round(base * (1 - ratio));
+  }
+
+  const breakdown = { base, speedBonus, position, hintLevel, introStage };
+  return { ...breakdown, total: getTotal(breakdown) };
+}
+
+/**
+ * The same answer scored again after the host's guess review moved it to
+ * another finish position.
+ */
+export function rescoreAtPosition(breakdown, position) {
+  const moved = { ...breakdown, position };
+  return { ...moved, total: getTotal(moved) };
+}
+
+function getTotal({ base, speedBonus, position, hintLevel, introStage }) {
+  return Math.max(
+    base > 0 ? 1 : 0,
+    Math.round(
+      (base + speedBonus) *
+        getPositionMultiplier(position) *
+        getHintMultiplier(hintLevel) *
+        getIntroMultiplier(introStage),
+    ),
+  );
+}
@@ -6,20 +6,120 @@ import { YouTube } from "youtube-sr";
 import http from "http";
 import { Server } from "socket.io";
 import { nanoid } from "nanoid";
-import {
-  fetchSpotifyPlaylistTracks,
-  parseSpotifyPlaylistId,
-} from "./spotify.js";
+import { fetchSpotifyPlaylistTracks, parseSpotifyLink } from "./spotify.js";
 import { fetchYouTubePlaylist, parseYouTubePlaylistId } from "./youtube.js";
-import { isGuessCorrect, getDetailedMatch } from "./utils.js";
+import {
+  importAudioFiles,
+  resolveLocalFile,
+  MAX_UPLOAD_FILES,
+  MAX_UPLOAD_SIZE,
+  UPLOAD_TMP_DIR,
+  removeUploadedFiles,
+} from "./local-audio.js";
+import {
+  isGuessCorrect,
+  getDetailedMatch,
+  getGuessFeedback,
+  matchTextGuess,
+  normalize,
+  normalizeMatchProfile,
+} from "./utils.js";
+import { NO_RESULT_TTL_MS, getCacheStats, resolutionCache } from "./cache.js";
+import {
+  calculateGuessPoints,
+  normalizeScoringMode,
+  normalizeSolveMode,
+  rescoreAtPosition,
+} from "./scoring.js";
+import { buildChoiceOptions, sanitizeDistractorPool } from "./choice.js";
+import { getAnswerAliases } from "./aliases.js";
+import {
+  addAliasCandidate,
+  getCandidateAliases,
+  getReviewEntries,
+  logGuess,
+} from "./guess-review.js";
+import {
+  getYearPoints,
+  hasReleaseYear,
+  isYearRound,
+  normalizeYearBonus,
+  normalizeYearGuessMode,
+  parseYearGuess,
+} from "./year-round.js";
+import { createTeam, deleteTeam, findTeam, getTeamStandings } from "./teams.js";
+import {
+  buildHint,
+  getHintStepCount,
+  getHintStepMs,
+  getTrackYear,
+} from "./hints.js";
+import {
+  getTiebreakPlayers,
+  getTiedLeaders,
+  isRoundPlayer,
+  sanitizeExtraTracks,
+  TIEBREAK_RESERVE,
+} from "./tiebreak.js";
+import {
+  applyRoundLosses,
+  getAlivePlayers,
+  isEliminated,
+  isEliminationOver,
+  normalizeLives,
+} from "./elimination.js";
+import {
+  INTRO_CLIPS,
+  getIntroEndAt,
+  normalizeSnippetStart,
+  pickStartOffset,
+} from "./snippet.js";
+import {
+  allocateQuotas,
+  dedupeSources,
+  normalizeSources,
+  trackKey,
+} from "./playlists.js";
+import {
+  createRandom,
+  getPlayedAges,
+  normalizeSeed,
+  preferFresh,
+  rememberPlayed,
+  shuffle,
+} from "./shuffle.js";
+import { MAX_IMPORT_SIZE, parseImportFile } from "./playlist-import.js";
 import { getLeaderboard, updateLeaderboardScore } from "./leaderboard.js";
-import { savePlaylistToHistory, getPlaylistHistory } from "./history.js";
+import { createTaskQueue } from "./task-queue.js";
+import {
+  findPlayer,
+  getPlayerKey,
+  hasSolved,
+  isSameSolver,
+  sanitizeGuestId,
+} from "./players.js";
+import {
+  savePlaylistToHistory,
+  getPlaylistHistory,
+  getRecentTracks,
+  addRecentTracks,
+  saveQuizSet,
+  getQuizSets,
+  getQuizSet,
+  deleteQuizSet,
+} from "./history.js";
+import {
+  quizSetToPlaylist,
+  sanitizeQuizSet,
+  searchQuizTracks,
+} from "./quiz-sets.js";
 import {
   saveRoom,
   getRoomFromFirestore,
   deleteRoomFromFirestore,
 } from "./room-manager.js";
 import admin from "firebase-admin";
+import multer from "multer";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
@@ -93,16 +193,187 @@ function checkYtQuota() {
 // { [code]: { code, hostId, users: Map, ... } }
 const rooms = new Map();
 // room = {
-//   code, hostId, users: Map(socketId => {name, score}), mode: 'spotify'|'youtube',
-//   tracks: [ ... ], answersKnown: boolean,
-//   gameType: 'text'|'buzzer', roundCount: 0,
+//   code, hostId, users: Map(socketId => {name, score, teamId, lives, uid, guestId}) (see players.js), mode: 'spotify'|'youtube'|'mixed'|'local',
+//   tracks: [ ... ] (imported files and quiz sets may add startAt seconds, aliases and artistAliases), answersKnown: boolean,
+//   gameType: 'text'|'buzzer'|'choice'|'elimination'|'year', roundCount: 0,
+//   startingLives: number (elimination; lives: 0 = spectator, undefined in other modes),
+//   roundDuration: seconds (0 = no time limit), scoring: 'flat'|'speed',
+//   solveMode: 'first'|'everyone',
+//   distractorPool: [{title, artist}] (rest of the playlist, for choice mode),
+//   extraTracks: [ ... ] (reserve for sudden death, unplayable ones are skipped), tiebreak: null | [playerKey] (tied leaders, see tiebreak.js),
+//   teams: [{ id, name, score }], teamSelfSelect: boolean, oneBuzzPerTeam: boolean,
+//   progressiveHints: boolean,
+//   matchProfile: 'lenient'|'normal'|'strict' (how close a typed answer must be, see utils.js),
+//   yearGuess: 'year'|'decade', yearBonusEvery: number (every Nth round is a year round, 0 = never),
+//   snippetStart: 'start'|'random'|'chorus', introChallenge: boolean,
+//   seed: string ('' = unseeded; orders tracks, snippet offsets and choice options),
+//   recentTracks: [trackKey] (played in this room, newest last, see shuffle.js),
+//   aliasCandidates: [{ key: trackKey, title, artist, alias, from }] (titles the host accepted, see guess-review.js),
 //   currentRound: {
-//     startedAt, answer: {title, artist}, track: {...}, solved: false,
-//     buzzer: null | { tsFirst, currentId, currentName, queue: [{id,name,ts}] }
+//     startedAt, answer: {title, artist, aliases: {title: [], artist: []}}, track: {...}, solved: false,
+//     hint: { titleLen, artistLen, level, maxLevel, maskedTitle?, artistInitial?, year?, cover? },
+//     duration: ms | 0, pausedAt: null | ts, pausedMs: total ms spent paused,
+//     solvers: [{ sid, key, name, elapsedMs, points, breakdown }] (text mode, in finish order),
+//     partials: { [sid]: { points } } (text mode, artist named before the title),
+//     guessLog: [{ id, sid, name, text, titleGuess, result, score, artistCorrect, titleCorrect, points, elapsedMs, hintLevel, introStage, overturned }] (text guesses, for host review),
+//     choice: null | { options: [{title, artist}], correctIndex, picks: { [sid]: {index, elapsedMs, hintLevel, introStage} } },
+//     year: null | { mode, actual, bonus, guesses: { [sid]: {year, elapsedMs} } } (year round, see year-round.js),
+//     buzzer: null | { tsFirst, elapsedMs, currentId, currentName, queue: [{id,name,ts}] },
+//     buzzedTeams: [teamId] (teams that already used their buzz this round)
+//     playback: { type, videoId|previewUrl, startAt: seconds, endAt: seconds | null },
+//     intro: null | { stage } (intro challenge, index into INTRO_CLIPS)
+//     tiebreak: null | [playerKey] (sudden death: only these players answer)
 //   },
 // }
 
-async function buildPlaybackForTrack(track, mode) {
+const DEFAULT_ROUND_DURATION = 30; // seconds
+const MAX_ROUND_DURATION = 300; // seconds
+const DEFAULT_SONG_COUNT = 20;
+const MAX_SONG_COUNT = 25; // the longest game the host can pick
+
+// Round timers live outside the room object so it stays serializable for Firestore
+// { [code]: Timeout }
+const roundTimers = new Map();
+const hintTimers = new Map();
+
+// Time the round has actually been running (paused time excluded)
+function getActiveElapsedMs(round, now = Date.now()) {
+  if (!round) return 0;
+  const pausedNow = round.pausedAt ? now - round.pausedAt : 0;
+  return Math.max(0, now - round.startedAt - (round.pausedMs || 0) - pausedNow);
+}
+
+function getTimeRemaining(round, now = Date.now()) {
+  if (!round?.duration) return null;
+  return Math.max(0, round.duration - getActiveElapsedMs(round, now));
+}
+
+// Timers are keyed like `rooms`, by the upper-case code (see getRoom)
+function clearRoundTimer(code) {
+  code = code.toUpperCase();
+  for (const timers of [roundTimers, hintTimers]) {
+    const timer = timers.get(code);
+    if (timer) clearTimeout(timer);
+    timers.delete(code);
+  }
+}
+
+function scheduleRoundTimer(code) {
+  code = code.toUpperCase();
+  clearRoundTimer(code);
+  const room = rooms.get(code);
+  const r = room?.currentRound;
+  if (!r || r.solved || r.pausedAt) return;
+
+  if (r.duration) {
+    const remaining = getTimeRemaining(r);
+    roundTimers.set(
+      code,
+      setTimeout(() => {
+        roundTimers.delete(code);
+        expireRound(code).catch((e) =>
+          console.error(`Failed to expire round in room ${code}:`, e),
+        );
+      }, remaining),
+    );
+  }
+
+  // Hints would give the year away
+  if (room.progressiveHints && !r.year) scheduleHintReveal(code, r);
+}
+
+// Next hint is due once the active round time reaches (level + 1) steps
+function scheduleHintReveal(code, r) {
+  const level = r.hint?.level || 0;
+  if (level >= getHintStepCount(r.track)) return;
+
+  const dueAt = (level + 1) * getHintStepMs(r.track, r.duration);
+  const wait = Math.max(0, dueAt - getActiveElapsedMs(r));
+  hintTimers.set(
+    code,
+    setTimeout(() => {
+      hintTimers.delete(code);
+      revealNextHint(code);
+    }, wait),
+  );
+}
+
+function revealNextHint(code) {
+  const room = rooms.get(code);
+  const r = room?.currentRound;
+  if (!r || r.solved || r.pausedAt) return;
+
+  r.hint = buildHint(r.track, (r.hint?.level || 0) + 1);
+  io.to(code).emit("hintUpdate", { hint: r.hint });
+  broadcastRoom(code);
+  scheduleHintReveal(code, r);
+}
+
+// Freeze the round clock (host pause or buzz)
+function pauseRoundClock(code, room) {
+  const r = room.currentRound;
+  if (!r) return;
+  r.paused = true;
+  if (!r.pausedAt) r.pausedAt = Date.now();
+  clearRoundTimer(code);
+}
+
+function resumeRoundClock(code, room) {
+  const r = room.currentRound;
+  if (!r) return;
+  r.paused = false;
+  if (r.pausedAt) {
+    r.pausedMs = (r.pausedMs || 0) + (Date.now() - r.pausedAt);
+    r.pausedAt = null;
+  }
+  scheduleRoundTimer(code);
+}
+
+/**
+ * Playback for a round, with the snippet offset in seconds:
+ * startAt is where the clip begins, endAt (intro challenge) where it stops.
+ */
+async function buildPlaybackForTrack(
+  track,
+  mode,
+  { snippetStart, intro, random } = {},
+) {
+  const playback = await resolvePlaybackSource(track, mode);
+  if (!playback) return null;
+
+  // Imported playlists may pin the offset per track
+  const startAt = Number.isFinite(track.startAt)
+    ? track.startAt
+    : pickStartOffset({
+        lengthMs: playback.durationMs || track.durationMs,
+        mode: snippetStart,
+        // Spotify previews are 30s clips, local files carry their own length
+        isPreview: playback.type === "audio" && !playback.durationMs,
+        random,
+      });
+  return {
+    ...playback,
+    startAt,
+    endAt: intro ? getIntroEndAt(startAt, 0) : null,
+  };
+}
+
+async function resolvePlaybackSource(track, mode) {
+  // Uploaded files are streamed by this server, see /api/local-audio
+  if (track.source === "local") {
+    return {
+      type: "audio",
+      previewUrl: track.audioUrl,
+      cover: track.cover,
+      durationMs: track.durationMs,
+    };
+  }
+
+  // Combined playlists: every track follows its own source
+  if (mode === "mixed") {
+    mode = track.source === "youtube" ? "youtube" : "spotify";
+  }
+
   if (mode === "spotify") {
     // 1. Use pre-fetched videoId if available
     if (track.videoId) {
@@ -120,10 +391,9 @@ async function buildPlaybackForTrack(track, mode) {
 
     // 3. Last Layer: Scraper search via youtube-sr (Reliable & No Quota)
     try {
-      const q = [track.title, track.artist].filter(Boolean).join(" ");
-      const v = await YouTube.searchOne(q);
-      if (v?.id) {
-        return { type: "youtube", videoId: v.id };
+      const v = await searchYouTubeVideo(track.title, track.artist);
+      if (v) {
+        return { type: "youtube", videoId: v.id, durationMs: v.durationMs };
       }
     } catch (e) {
       console.error("youtube-sr error during Spotify playback fallback:", e);
@@ -161,9 +431,9 @@ async function buildPlaybackForTrack(track, mode) {
     const q = [track.title, track.artist].filter(Boolean).join(" ");
     try {
       // Prefer scraper (youtube-sr) as it's free and fast
-      const v = await YouTube.searchOne(q);
-      if (v?.id) {
-        return { type: "youtube", videoId: v.id };
+      const v = await searchYouTubeVideo(track.title, track.artist);
+      if (v) {
+        return { type: "youtube", videoId: v.id, durationMs: v.durationMs };
       }
 
       // Final desperate attempt via official API (if quota allowed)
@@ -207,16 +477,126 @@ async function buildPlaybackForTrack(track, mode) {
 // Helper to search a single track on YouTube (used for Spotify workaround)
 // Helper to find YouTube ID via youtube-sr (Reliable, No Quota)
 async function getYouTubeVideoId(title, artist) {
-  const q = [title, artist].filter(Boolean).join(" ");
   try {
-    const v = await YouTube.searchOne(q);
+    const v = await searchYouTubeVideo(title, artist);
     return v?.id || null;
   } catch (e) {
-    console.error(`youtube-sr search failed for ${q}:`, e.message);
+    console.error(`youtube-sr search failed for ${title}:`, e.message);
     return null;
   }
 }
 
+// Searches share one queue, so a round waiting for its track isn't stuck
+// behind a whole playlist being resolved in the background
+const resolveQueue = createTaskQueue({ concurrency: 3, retries: 2 });
+// Tracks resolved ahead of the current round
+const PREFETCH_AHEAD = 3;
+
+// youtube-sr lookup behind the resolution cache: { id, durationMs } or null.
+// Search errors are retried by the queue, then throw; they are not cached.
+async function searchYouTubeVideo(title, artist, { priority = true } = {}) {
+  const key = `${normalize(title)}|${normalize(artist)}`;
+  const cached = await resolutionCache.get(key);
+  if (cached !== undefined) return cached;
+
+  return resolveQueue.run(
+    key,
+    async () => {
+      const q = [title, artist].filter(Boolean).join(" ");
+      const v = await YouTube.searchOne(q);
+      const found = v?.id ? { id: v.id, durationMs: v.duration || null } : null;
+      await resolutionCache.set(
+        key,
+        found,
+        found ? {} : { ttl: NO_RESULT_TTL_MS },
+      );
+      return found;
+    },
+    { priority },
+  );
+}
+
+// Spotify tracks without a preview can only play through a YouTube search
+function needsSearch(track) {
+  return track?.source === "spotify" && !track.videoId && !track.previewUrl;
+}
+
+async function isPlayable(track) {
+  if (!needsSearch(track)) return true;
+  const found = await searchYouTubeVideo(track.title, track.artist, {
+    priority: false,
+  }).catch(() => null);
+  return !!found;
+}
+
+// Puts a playable spare into a running game in place of a track that failed
+function swapRoomTrack(code, out, track) {
+  const room = code && rooms.get(code.toUpperCase());
+  if (!room?.tracks) return;
+  const i = room.tracks.findIndex((t) => t.id === out);
+  // Rounds already played keep their track
+  if (i >= room.roundCount) room.tracks[i] = track;
+}
+
+/**
+ * Resolves a freshly loaded playlist behind the scenes and reports
+ * `resolveProgress` to the room's host. Results land in the resolution
+ * cache, where rounds pick them up. A track that can't be found is
+ * swapped for the next playable one from `spare`; the swaps are listed
+ * as `swaps: [{ out, track }]` and `playable` counts the filled slots.
+ */
+function resolveInBackground(code, tracks, spare = []) {
+  const pending = tracks.filter(needsSearch);
+  const pool = [...spare];
+  const progress = {
+    resolveId: nanoid(8),
+    total: pending.length,
+    done: 0,
+    failed: 0,
+    playable: tracks.length - pending.length,
+    swaps: [],
+  };
+  const report = () => {
+    const hostId = code && rooms.get(code.toUpperCase())?.hostId;
+    if (hostId) io.to(hostId).emit("resolveProgress", progress);
+  };
+  // Spares are taken one at a time, so two failed slots never share one
+  const fill = async (track) => {
+    if (await isPlayable(track)) return track;
+    while (pool.length) {
+      const next = pool.shift();
+      if (await isPlayable(next)) return next;
+    }
+    return null;
+  };
+
+  for (const t of pending) {
+    fill(t)
+      .then((found) => {
+        if (!found) return progress.failed++;
+        progress.playable++;
+        if (found === t) return;
+        progress.swaps.push({ out: t.id, track: found });
+        swapRoomTrack(code, t.id, found);
+      })
+      .finally(() => {
+        progress.done++;
+        report();
+      });
+  }
+  return progress;
+}
+
+// Moves the next few tracks of the game to the front of the queue
+function prefetchTracks(room, from) {
+  for (const t of room.tracks.slice(from, from + PREFETCH_AHEAD)) {
+    if (!needsSearch(t)) continue;
+    searchYouTubeVideo(t.title, t.artist).catch((e) =>
+      console.warn(`Prefetch failed for ${t.title}:`, e.message),
+    );
+  }
+}
+
 function newRoomCode() {
   return nanoid(6).toUpperCase();
 }
@@ -243,11 +623,230 @@ async function getRoom(code) {
       }
     }
     rooms.set(upper, room);
+    // Restart the clock for a round that was running when the room was evicted
+    scheduleRoundTimer(upper);
     return room;
   }
   return null;
 }
 
+// Applies a score change to the player, their team and the global leaderboard
+// Scores don't go below zero; the team and the leaderboard get the same
+// change as the player, so their totals stay in step. Returns that change.
+function addPoints(room, player, points) {
+  if (!player || !points) return 0;
+  const before = player.score;
+  player.score = Math.max(0, before + points);
+  const applied = player.score - before;
+  if (!applied) return 0;
+  const team = findTeam(room, player.teamId);
+  if (team) team.score += applied;
+  if (player.uid) {
+    updateLeaderboardScore(player.uid, player.name, applied);
+  }
+  return applied;
+}
+
+// After a guess review adds or removes a solver, everyone behind them
+// moves to the points of their new finish position
+function rescoreSolvers(room, r) {
+  r.solvers.forEach((s, i) => {
+    if (!s.breakdown || s.breakdown.position === i + 1) return;
+    const breakdown = rescoreAtPosition(s.breakdown, i + 1);
+    const [, player] = findPlayer(room, { sid: s.sid, key: s.key }) || [];
+    const applied = addPoints(room, player, breakdown.total - s.points);
+    const logged = r.guessLog?.find(
+      (e) => e.titleCorrect && (e.sid === s.sid || (s.key && e.key === s.key)),
+    );
+    if (logged) logged.points += applied;
+    s.points = breakdown.total;
+    s.breakdown = breakdown;
+  });
+}
+
+// Only the host may see other players' guesses, once the round is over
+function sendGuessLog(room) {
+  const r = room.currentRound;
+  if (r?.solved && r.guessLog && room.hostId) {
+    io.to(room.hostId).emit("guessLog", { entries: getReviewEntries(r) });
+  }
+}
+
+function getScores(room) {
+  return [...room.users.values()].map((u) => ({
+    name: u.name,
+    score: u.score,
+    lives: u.lives ?? null,
+  }));
+}
+
+// Multiple-choice picks are locked in during the round and scored here
+function scoreChoicePicks(room) {
+  const r = room.currentRound;
+  const results = [];
+  for (const [sid, pick] of Object.entries(r.choice.picks || {})) {
+    const player = room.users.get(sid);
+    if (!player) continue;
+    const correct = pick.index === r.choice.correctIndex;
+    const points = correct
+      ? calculateGuessPoints({
+          artistCorrect: true,
+          titleCorrect: true,
+          elapsedMs: pick.elapsedMs,
+          durationMs: r.duration,
+          scoring: room.scoring,
+          hintLevel: pick.hintLevel,
+          introStage: pick.introStage,
+        }).total
+      : 0;
+    addPoints(room, player, points);
+    results.push({
+      name: player.name,
+      index: pick.index,
+      correct,
+      elapsedMs: pick.elapsedMs,
+      points,
+    });
+  }
+  results.sort((a, b) => a.elapsedMs - b.elapsedMs);
+  return { correctIndex: r.choice.correctIndex, picks: results };
+}
+
+// Year guesses are locked in during the round and scored by distance here
+function scoreYearGuesses(room) {
+  const r = room.currentRound;
+  const { mode, actual } = r.year;
+  const results = [];
+  for (const [sid, guess] of Object.entries(r.year.guesses || {})) {
+    const player = room.users.get(sid);
+    if (!player) continue;
+    const points = getYearPoints(guess.year, actual, mode);
+    addPoints(room, player, points);
+    results.push({
+      name: player.name,
+      year: guess.year,
+      elapsedMs: guess.elapsedMs,
+      points,
+    });
+  }
+  // Closest first, ties go to the faster guess
+  results.sort((a, b) => b.points - a.points || a.elapsedMs - b.elapsedMs);
+  return { mode, actual, bonus: r.year.bonus, guesses: results };
+}
+
+// Single exit point for a round: stops the clock and notifies everyone
+async function endRound(code, room, { winner = null, elapsedMs, ...extra }) {
+  const r = room.currentRound;
+  clearRoundTimer(code);
+  if (r.pausedAt) {
+    r.pausedMs = (r.pausedMs || 0) + (Date.now() - r.pausedAt);
+    r.pausedAt = null;
+  }
+  r.solved = true;
+
+  // A skipped track or a bonus year round costs nobody a life
+  if (room.gameType === "elimination" && !extra.skipped && !r.year) {
+    extra.elimination = applyRoundLosses(room);
+    for (const { sid, name } of extra.elimination.eliminated) {
+      io.to(code).emit("playerEliminated", { sid, name });
+      io.to(code).emit("chat", {
+        system: true,
+        text: `${name} is out of the game!`,
+      });
+    }
+  }
+
+  // A skipped round shows the answer but scores nothing
+  if (r.choice && extra.skipped) {
+    extra.choice = { correctIndex: r.choice.correctIndex, picks: [] };
+  } else if (r.choice) {
+    extra.choice = scoreChoicePicks(room);
+    const fastest = extra.choice.picks.find((p) => p.correct);
+    if (!winner && fastest) {
+      winner = fastest.name;
+      elapsedMs = fastest.elapsedMs;
+    }
+  }
+  if (r.year && extra.skipped) {
+    const { mode, actual, bonus } = r.year;
+    extra.year = { mode, actual, bonus, guesses: [] };
+  } else if (r.year) {
+    extra.year = scoreYearGuesses(room);
+    const closest = extra.year.guesses.find((g) => g.points > 0);
+    if (!winner && closest) {
+      winner = closest.name;
+      elapsedMs = closest.elapsedMs;
+    }
+  }
+  await saveRoom(code, room);
+
+  const { title, artist } = r.answer;
+  io.to(code).emit("roundEnd", {
+    winner,
+    answer: { title, artist },
+    elapsedMs: elapsedMs ?? getActiveElapsedMs(r),
+    scores: getScores(room),
+    teamScores: getTeamStandings(room),
+    // Breakdown of the winner's points, every solver carries their own
+    points: r.solvers?.[0]?.breakdown,
+    solvers: (r.solvers || []).map(
+      ({ name, elapsedMs, points, breakdown }) => ({
+        name,
+        elapsedMs,
+        points,
+        breakdown,
+      }),
+    ),
+    ...extra,
+  });
+  sendGuessLog(room);
+  broadcastRoom(code);
+  // The last survivor wins without waiting for the host's next round
+  if (extra.elimination && isEliminationOver(room)) endGame(code, room);
+}
+
+async function expireRound(code) {
+  code = code.toUpperCase();
+  const room = rooms.get(code);
+  const r = room?.currentRound;
+  if (!r || r.solved || r.pausedAt) return;
+
+  io.to(code).emit("chat", {
+    system: true,
+    text: "Time's up!",
+  });
+  const first = r.solvers?.[0];
+  await endRound(code, room, {
+    winner: first?.name || null,
+    elapsedMs: first?.elapsedMs,
+    timeUp: true,
+  });
+}
+
+// Everyone still connected and playing this round has solved it
+function allPlayersSolved(room) {
+  const r = room.currentRound;
+  const connected = getAlivePlayers(room).filter(([sid, player]) =>
+    isRoundPlayer(r, sid, player),
+  );
+  return (
+    connected.length > 0 &&
+    connected.every(([sid, player]) => hasSolved(r, sid, player))
+  );
+}
+
+// Choice picks and year guesses are locked in; the round is over once
+// every player still in it has one
+function allPlayersAnswered(room) {
+  const r = room.currentRound;
+  const answers = r?.choice ? r.choice.picks : r?.year?.guesses;
+  if (!answers) return false;
+  const playing = getAlivePlayers(room)
+    .filter(([sid, player]) => isRoundPlayer(r, sid, player))
+    .map(([sid]) => sid);
+  return playing.length > 0 && playing.every((sid) => answers[sid]);
+}
+
 function broadcastRoom(code) {
   const room = rooms.get(code.toUpperCase());
   if (!room) return;
@@ -259,7 +858,12 @@ function broadcastRoom(code) {
       sid,
       name: u.name,
       score: u.score,
+      teamId: u.teamId || null,
+      lives: u.lives ?? null,
     })),
+    teams: getTeamStandings(room),
+    teamSelfSelect: !!room.teamSelfSelect,
+    oneBuzzPerTeam: !!room.oneBuzzPerTeam,
     skipVotes: room.skipVotes?.size || 0,
     totalPlayers: room.users.size,
     hasTracks: !!(room.tracks && room.tracks.length),
@@ -271,8 +875,42 @@ function broadcastRoom(code) {
           startedAt: room.currentRound.startedAt,
           hint: room.currentRound.hint,
           playback: room.currentRound.playback,
+          intro: room.currentRound.intro || null,
+          // Clients compare their socket id, so the keys are resolved
+          tiebreak: room.currentRound.tiebreak
+            ? getTiebreakPlayers(room, room.currentRound.tiebreak).map(
+                ([sid]) => sid,
+              )
+            : null,
           paused: room.currentRound.paused || false,
           solved: room.currentRound.solved,
+          duration: room.currentRound.duration || 0,
+          timeRemaining: room.currentRound.solved
+            ? null
+            : getTimeRemaining(room.currentRound),
+          solvers: (room.currentRound.solvers || []).map((s) => ({
+            sid: s.sid,
+            name: s.name,
+          })),
+          // Correct answer stays hidden until roundEnd
+          choice: room.currentRound.choice
+            ? {
+                options: room.currentRound.choice.options,
+                picked: Object.keys(room.currentRound.choice.picks || {}),
+              }
+            : null,
+          // Year rounds show the song, the year stays hidden
+          year: room.currentRound.year
+            ? {
+                mode: room.currentRound.year.mode,
+                bonus: room.currentRound.year.bonus,
+                answer: {
+                  title: room.currentRound.answer.title,
+                  artist: room.currentRound.answer.artist,
+                },
+                guessed: Object.keys(room.currentRound.year.guesses || {}),
+              }
+            : null,
           buzzer: room.currentRound.buzzer
             ? {
                 currentId: room.currentRound.buzzer.currentId,
@@ -289,10 +927,46 @@ function broadcastRoom(code) {
 }
 
 // ===== REST: Parse + fetch playlists =====
+
+// Loads a single playlist link, { error } when it can't be handled
+async function fetchPlaylistSource(url) {
+  if (parseSpotifyLink(url)) {
+    if (!process.env.SPOTIFY_CLIENT_ID || !process.env.SPOTIFY_CLIENT_SECRET) {
+      return { error: "Missing Spotify credentials on server." };
+    }
+    return fetchSpotifyPlaylistTracks({
+      url,
+      clientId: process.env.SPOTIFY_CLIENT_ID,
+      clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
+    });
+  }
+
+  if (parseYouTubePlaylistId(url)) {
+    if (!process.env.YT_API_KEY) {
+      return { error: "Missing YT_API_KEY for YouTube Data API." };
+    }
+    return fetchYouTubePlaylist({ url, apiKey: process.env.YT_API_KEY });
+  }
+
+  return {
+    error:
+      "Unrecognized link. Paste a Spotify playlist, album, artist or track link, or a YouTube playlist link.",
+  };
+}
+
+// Songs per game asked for by a playlist request, the same for every source
+function getSongCount(value) {
+  const count = Math.round(Number(value));
+  return count > 0 ? Math.min(count, MAX_SONG_COUNT) : DEFAULT_SONG_COUNT;
+}
+
 app.post("/api/parse-playlist", async (req, res) => {
   try {
-    const { url, songCount = 20, token } = req.body;
-    if (!url) return res.status(400).json({ error: "Missing playlist URL." });
+    const { token } = req.body;
+    const songCount = getSongCount(req.body.songCount);
+    const sources = normalizeSources(req.body);
+    if (!sources.length)
+      return res.status(400).json({ error: "Missing playlist URL." });
 
     let userId = null;
     if (token) {
@@ -304,107 +978,102 @@ app.post("/api/parse-playlist", async (req, res) => {
       }
     }
 
-    if (parseSpotifyPlaylistId(url)) {
-      if (
-        !process.env.SPOTIFY_CLIENT_ID ||
-        !process.env.SPOTIFY_CLIENT_SECRET
-      ) {
-        return res
-          .status(400)
-          .json({ error: "Missing Spotify credentials on server." });
+    const order = await getTrackOrder(req.body, userId);
+    const loaded = [];
+    for (const { url, weight } of sources) {
+      const data = await fetchPlaylistSource(url);
+      if (data.error) {
+        const error = sources.length > 1 ? `${url}: ${data.error}` : data.error;
+        return res.status(400).json({ error });
       }
-      let data = await fetchSpotifyPlaylistTracks({
-        url,
-        clientId: process.env.SPOTIFY_CLIENT_ID,
-        clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
-      });
+      data.tracks = orderTracks(data.tracks, order);
+      loaded.push({ ...data, url, weight });
 
-      let updatedHistory = null;
       if (userId) {
         try {
           await savePlaylistToHistory(userId, {
             url,
             name: data.playlistName,
-            source: "spotify",
+            source: data.source,
           });
-          updatedHistory = await getPlaylistHistory(userId);
-          console.log(
-            `History updated for user ${userId}, items: ${updatedHistory?.length}`,
-          );
         } catch (histErr) {
           console.error("Failed to update history in parse-playlist:", histErr);
         }
       }
-
-      // Shuffle tracks
-      data.tracks.sort(() => Math.random() - 0.5);
-
-      // Enrich only a first few to save time/YT quota
-      const batchToEnrich = data.tracks.slice(0, Math.max(songCount * 2, 40));
-      const enrichedBatch = await Promise.all(
-        batchToEnrich.map(async (t) => {
-          // If already has previewUrl, return it
-          // OR if it's Spotify, we still prefer YT if possible for full playback,
-          // but we can fallback to Spotify's 30s preview.
-          // Let's try to get YT ID anyway if not present
-          const playback = await buildPlaybackForTrack(t, "spotify");
-          return { ...t, videoId: playback?.videoId };
-        }),
-      );
-
-      // Filter for playable (has videoId or previewUrl) and take requested count
-      const enrichedTracks = enrichedBatch
-        .filter((t) => t.videoId || t.previewUrl)
-        .slice(0, songCount);
-
-      return res.json({
-        ...data,
-        total: enrichedTracks.length,
-        playable: enrichedTracks.length,
-        tracks: enrichedTracks,
-        updatedHistory,
-      });
     }
 
-    if (parseYouTubePlaylistId(url)) {
-      if (!process.env.YT_API_KEY) {
-        return res
-          .status(400)
-          .json({ error: "Missing YT_API_KEY for YouTube Data API." });
+    let updatedHistory = null;
+    if (userId) {
+      try {
+        updatedHistory = await getPlaylistHistory(userId);
+        console.log(
+          `History updated for user ${userId}, items: ${updatedHistory?.length}`,
+        );
+      } catch (histErr) {
+        console.error("Failed to update history in parse-playlist:", histErr);
       }
-      let data = await fetchYouTubePlaylist({
-        url,
-        apiKey: process.env.YT_API_KEY,
-      });
+    }
 
-      let updatedHistory = null;
-      if (userId) {
-        try {
-          await savePlaylistToHistory(userId, {
-            url,
-            name: data.playlistName,
-            source: "youtube",
-          });
-          updatedHistory = await getPlaylistHistory(userId);
-          console.log(
-            `History updated for user ${userId}, items: ${updatedHistory?.length}`,
-          );
-        } catch (histErr) {
-          console.error("Failed to update history in parse-playlist:", histErr);
-        }
-      }
+    if (order.freshOnly && !loaded.some((s) => s.tracks.length))
+      return res.status(400).json({ error: FRESH_EXHAUSTED });
 
-      // Shuffle and take requested count
-      data.tracks.sort(() => Math.random() - 0.5);
-      data.tracks = data.tracks.slice(0, songCount);
-      data.total = data.tracks.length;
+    // Same song in two playlists is played once
+    dedupeSources(loaded);
+    const quotas = allocateQuotas(
+      loaded.map((s) => s.tracks.length),
+      loaded.map((s) => s.weight),
+      songCount,
+    );
 
-      return res.json({ ...data, updatedHistory });
+    let tracks = [];
+    let spare = [];
+    const origin = new Map(); // track -> index of its source
+    for (const [i, source] of loaded.entries()) {
+      for (const t of source.tracks) origin.set(t, i);
+      tracks.push(...source.tracks.slice(0, quotas[i]));
+      spare.push(...source.tracks.slice(quotas[i]));
     }
-
-    return res.status(400).json({
-      error:
-        "Unrecognized playlist type. Paste a Spotify or YouTube playlist link.",
+    if (loaded.length > 1) shuffle(tracks, order.random);
+    const extraTracks = spare.slice(0, TIEBREAK_RESERVE);
+
+    // Playback is looked up while the host sets up the game. Picked tracks
+    // that turn out unplayable are replaced from the rest of the playlists
+    // (one spare per picked track at most); the reserve is only checked
+    const resolving = resolveInBackground(
+      req.body.code,
+      tracks,
+      spare.slice(TIEBREAK_RESERVE, TIEBREAK_RESERVE + tracks.length),
+    );
+    resolveInBackground(null, extraTracks);
+
+    const pickedIds = new Set(tracks.map((t) => t.id));
+    const kinds = new Set(loaded.map((s) => s.source));
+
+    return res.json({
+      source: kinds.size === 1 ? loaded[0].source : "mixed",
+      linkType: loaded.length === 1 ? loaded[0].linkType : undefined,
+      playlistId: loaded.length === 1 ? loaded[0].playlistId : undefined,
+      playlistName: loaded.map((s) => s.playlistName).join(" + "),
+      total: tracks.length,
+      // Known so far; resolveProgress carries the final count
+      playable: resolving.playable,
+      tracks,
+      // Kept aside for sudden-death rounds
+      extraTracks,
+      // Unused tracks still make good wrong answers in choice mode
+      distractorPool: sanitizeDistractorPool(
+        loaded.flatMap((s) => s.tracks).filter((t) => !pickedIds.has(t.id)),
+      ),
+      sources: loaded.map((s, i) => ({
+        url: s.url,
+        source: s.source,
+        playlistName: s.playlistName,
+        weight: s.weight,
+        total: s.tracks.length,
+        picked: tracks.filter((t) => origin.get(t) === i).length,
+      })),
+      resolving,
+      updatedHistory,
     });
   } catch (e) {
     console.error(e);
@@ -414,6 +1083,264 @@ app.post("/api/parse-playlist", async (req, res) => {
   }
 });
 
+// ===== Track order =====
+const FRESH_EXHAUSTED =
+  'Every track was played recently. Turn off "fresh tracks only" or pick another playlist.';
+
+/**
+ * Shuffle settings of a load request: the seeded random, and what the room
+ * and its logged-in players heard lately. Multipart bodies carry strings.
+ */
+async function getTrackOrder(body, uid) {
+  const room = body.code ? await getRoom(body.code) : null;
+  const uids = new Set(
+    [uid, ...[...(room?.users.values() || [])].map((u) => u.uid)].filter(
+      Boolean,
+    ),
+  );
+  const lists = await Promise.all([...uids].map(getRecentTracks));
+  return {
+    random: createRandom(normalizeSeed(body.seed)),
+    ages: getPlayedAges([room?.recentTracks || [], ...lists]),
+    freshOnly: body.freshOnly === true || body.freshOnly === "true",
+  };
+}
+
+// Shuffled, with unheard songs first (or only, with freshOnly)
+function orderTracks(tracks, order, key = trackKey) {
+  return preferFresh(shuffle(tracks, order.random), order.ages, key, {
+    freshOnly: order.freshOnly,
+  });
+}
+
+// Per-round generator, so a seeded game replays the same offsets and options
+function getRoundRandom(room, index) {
+  return createRandom(room.seed ? `${room.seed}:${index}` : "");
+}
+
+// Feeds the fresh-tracks preference of later games
+async function rememberRound(room, track) {
+  const key = trackKey(track);
+  room.recentTracks = rememberPlayed(room.recentTracks, [key]);
+  const uids = new Set(
+    [...room.users.values()].map((u) => u.uid).filter(Boolean),
+  );
+  await Promise.all([...uids].map((uid) => addRecentTracks(uid, [key])));
+}
+
+// Orders an uploaded playlist and takes the requested count, the rest
+// feeds sudden death and choice-mode distractors
+function takeSongs(data, songCount, order) {
+  data.tracks = orderTracks(data.tracks, order);
+  if (!data.tracks.length) return { error: FRESH_EXHAUSTED };
+  return pickSongs(data, songCount);
+}
+
+// Splits already ordered tracks into the game, the reserve and distractors
+function pickSongs(
+  data,
+  songCount,
+  distractors = data.tracks.slice(songCount),
+) {
+  data.distractorPool = sanitizeDistractorPool(distractors);
+  data.extraTracks = data.tracks.slice(songCount, songCount + TIEBREAK_RESERVE);
+  data.tracks = data.tracks.slice(0, songCount);
+  data.total = data.tracks.length;
+  data.playable = data.tracks.length;
+  return data;
+}
+
+// ===== REST: Local audio files =====
+// Files go to disk, never to memory; the whole request is capped up front
+const upload = multer({
+  dest: UPLOAD_TMP_DIR,
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: MAX_UPLOAD_FILES },
+});
+
+// Runs before multer, so nothing is stored for anonymous or oversized requests
+async function checkAudioUpload(req, res, next) {
+  req.uid = await getRequestUid(req);
+  if (!req.uid)
+    return res.status(401).json({ error: "Log in to upload files." });
+  const length = Number(req.headers["content-length"]);
+  if (!length)
+    return res.status(411).json({ error: "Upload size is unknown." });
+  if (length > MAX_UPLOAD_SIZE)
+    return res.status(413).json({ error: "Upload is too large (max 100 MB)." });
+  next();
+}
+
+app.post(
+  "/api/upload-audio",
+  checkAudioUpload,
+  upload.array("files", MAX_UPLOAD_FILES),
+  async (req, res) => {
+    try {
+      const data = await importAudioFiles(req.files);
+      const order = await getTrackOrder(req.body, req.uid);
+      // Multipart fields arrive as strings
+      const picked = takeSongs(data, getSongCount(req.body.songCount), order);
+      if (picked.error) return res.status(400).json(picked);
+      return res.json(picked);
+    } catch (e) {
+      console.error(e);
+      return res
+        .status(400)
+        .json({ error: e.message || "Server error while uploading files." });
+    } finally {
+      removeUploadedFiles(req.files);
+    }
+  },
+);
+
+// ===== REST: Playlist files (CSV / M3U / JSON) =====
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_SIZE, files: 1 },
+});
+
+// Runs before multer: searching YouTube for a file's rows costs API quota,
+// so anonymous requests are turned away before the file is read
+async function checkPlaylistImport(req, res, next) {
+  req.uid = await getRequestUid(req);
+  if (!req.uid)
+    return res.status(401).json({ error: "Log in to import playlists." });
+  next();
+}
+
+// Rows without a video ID are searched a few at a time
+const IMPORT_SEARCH_BATCH = 5;
+
+/**
+ * Finds videos for already ordered rows until `needed` tracks play; rows
+ * past that point are never searched. Rows without a video are reported
+ * in `errors` and the next rows take their place. `used` counts the rows
+ * that were looked at.
+ */
+async function resolveImportRows(rows, needed) {
+  const tracks = [];
+  const errors = [];
+  let i = 0;
+  while (i < rows.length && tracks.length < needed) {
+    const size = Math.min(IMPORT_SEARCH_BATCH, needed - tracks.length);
+    const batch = rows.slice(i, i + size);
+    i += batch.length;
+    const ids = await Promise.all(
+      batch.map(
+        ({ track }) =>
+          track.videoId || getYouTubeVideoId(track.title, track.artist),
+      ),
+    );
+    batch.forEach(({ row, track }, j) => {
+      if (!ids[j]) {
+        errors.push({
+          row,
+          error: `No YouTube video found for ${track.title}.`,
+        });
+        return;
+      }
+      tracks.push({
+        id: ids[j],
+        title: track.title,
+        artist: track.artist,
+        cover: `https://i.ytimg.com/vi/${ids[j]}/hqdefault.jpg`,
+        source: "youtube",
+        ...(track.startAt != null && { startAt: track.startAt }),
+        ...(track.year && { year: track.year }),
+        ...(track.aliases.length && { aliases: track.aliases }),
+        ...(track.artistAliases.length && {
+          artistAliases: track.artistAliases,
+        }),
+      });
+    });
+  }
+  return { tracks, errors, used: i };
+}
+
+app.post(
+  "/api/import-playlist",
+  checkPlaylistImport,
+  importUpload.single("file"),
+  async (req, res) => {
+    try {
+      if (!req.file) return res.status(400).json({ error: "Missing file." });
+
+      let parsed;
+      try {
+        parsed = parseImportFile(
+          req.file.originalname,
+          req.file.buffer.toString("utf8"),
+        );
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+
+      // Rows are ordered first, so only the ones that make the game (and
+      // the sudden-death reserve) are searched on YouTube
+      if (!parsed.rows.length) {
+        return res.status(400).json({
+          error: "No playable rows in the file.",
+          errors: parsed.errors,
+        });
+      }
+      const songCount = getSongCount(req.body.songCount);
+      const order = await getTrackOrder(req.body, req.uid);
+      const rows = orderTracks(parsed.rows, order, ({ track }) =>
+        trackKey({ ...track, source: "youtube" }),
+      );
+      if (!rows.length) {
+        return res
+          .status(400)
+          .json({ error: FRESH_EXHAUSTED, errors: parsed.errors });
+      }
+
+      const { tracks, errors, used } = await resolveImportRows(
+        rows,
+        songCount + TIEBREAK_RESERVE,
+      );
+      errors.push(...parsed.errors);
+      errors.sort((a, b) => a.row - b.row);
+      if (!tracks.length) {
+        return res
+          .status(400)
+          .json({ error: "No playable rows in the file.", errors });
+      }
+
+      const data = pickSongs(
+        {
+          source: "youtube",
+          linkType: "file",
+          playlistName: parsed.name,
+          tracks,
+        },
+        songCount,
+        // Unsearched rows still make good wrong answers
+        [...tracks.slice(songCount), ...rows.slice(used).map((r) => r.track)],
+      );
+      return res.json({ ...data, errors });
+    } catch (e) {
+      console.error(e);
+      return res
+        .status(500)
+        .json({ error: e.message || "Server error while importing file." });
+    }
+  },
+);
+
+// Upload limits (file size, file count) answer as JSON, not an HTML 500
+app.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError)
+    return res.status(400).json({ error: err.message });
+  next(err);
+});
+
+// Range requests are handled by sendFile, so players can seek
+app.get("/api/local-audio/:libraryId/:file", (req, res) => {
+  const file = resolveLocalFile(req.params.libraryId, req.params.file);
+  if (!file) return res.status(404).json({ error: "File not found." });
+  res.sendFile(file);
+});
+
 app.get("/api/leaderboard", async (req, res) => {
   try {
     const list = await getLeaderboard();
@@ -423,6 +1350,11 @@ app.get("/api/leaderboard", async (req, res) => {
   }
 });
 
+// Hit/miss counters of the caches, job counts of the resolve queue
+app.get("/api/cache-stats", (req, res) => {
+  res.json({ ...getCacheStats(), resolveQueue: resolveQueue.stats() });
+});
+
 app.get("/api/playlist-history", async (req, res) => {
   try {
     const token = req.headers.authorization?.split(" ")[1];
@@ -437,28 +1369,134 @@ app.get("/api/playlist-history", async (req, res) => {
   }
 });
 
+// ===== REST: Quiz sets (logged-in hosts) =====
+// uid from "Authorization: Bearer <Firebase ID token>", null when missing or invalid
+async function getRequestUid(req) {
+  const token = req.headers.authorization?.split(" ")[1];
+  if (!token) return null;
+  try {
+    const decodedToken = await admin.auth().verifyIdToken(token);
+    return decodedToken.uid;
+  } catch (e) {
+    console.warn("Invalid token:", e.message);
+    return null;
+  }
+}
+
+app.get("/api/quiz-search", async (req, res) => {
+  const uid = await getRequestUid(req);
+  if (!uid) return res.status(401).json({ error: "Unauthorized" });
+  try {
+    res.json(await searchQuizTracks(req.query.q));
+  } catch (e) {
+    console.error("Quiz search error:", e);
+    res.status(500).json({ error: "YouTube search failed." });
+  }
+});
+
+app.get("/api/quiz-sets", async (req, res) => {
+  const uid = await getRequestUid(req);
+  if (!uid) return res.status(401).json({ error: "Unauthorized" });
+  res.json(await getQuizSets(uid));
+});
+
+app.get("/api/quiz-sets/:id", async (req, res) => {
+  const uid = await getRequestUid(req);
+  if (!uid) return res.status(401).json({ error: "Unauthorized" });
+  const set = await getQuizSet(uid, req.params.id);
+  if (!set) return res.status(404).json({ error: "Quiz set not found." });
+  res.json(set);
+});
+
+// Creates a set, or replaces it when the body carries an id
+app.post("/api/quiz-sets", async (req, res) => {
+  const uid = await getRequestUid(req);
+  if (!uid) return res.status(401).json({ error: "Unauthorized" });
+  const set = sanitizeQuizSet(req.body);
+  if (set.error) return res.status(400).json({ error: set.error });
+
+  const id = await saveQuizSet(uid, req.body.id || null, set);
+  if (!id) {
+    return req.body.id
+      ? res.status(404).json({ error: "Quiz set not found." })
+      : res.status(500).json({ error: "Failed to save quiz set." });
+  }
+  res.json({ id, ...set, sets: await getQuizSets(uid) });
+});
+
+app.delete("/api/quiz-sets/:id", async (req, res) => {
+  const uid = await getRequestUid(req);
+  if (!uid) return res.status(401).json({ error: "Unauthorized" });
+  if (!(await deleteQuizSet(uid, req.params.id))) {
+    return res.status(404).json({ error: "Quiz set not found." });
+  }
+  res.json({ ok: true, sets: await getQuizSets(uid) });
+});
+
+// A quiz set as a game source, same response as /api/parse-playlist
+app.post("/api/quiz-sets/:id/play", async (req, res) => {
+  const uid = await getRequestUid(req);
+  if (!uid) return res.status(401).json({ error: "Unauthorized" });
+  const set = await getQuizSet(uid, req.params.id);
+  if (!set) return res.status(404).json({ error: "Quiz set not found." });
+  const data = takeSongs(
+    quizSetToPlaylist(set),
+    getSongCount(req.body.songCount),
+    await getTrackOrder(req.body, uid),
+  );
+  if (data.error) return res.status(400).json(data);
+  res.json(data);
+});
+
+function endGame(code, room) {
+  room.tiebreak = null;
+  io.to(code).emit("gameOver", {
+    scores: getScores(room),
+    teamScores: getTeamStandings(room),
+    survivors:
+      room.gameType === "elimination"
+        ? getAlivePlayers(room).map(([, u]) => u.name)
+        : null,
+  });
+  return { ok: true, gameOver: true };
+}
+
 async function triggerNextRound(code) {
   const room = await getRoom(code);
   if (!room) return { error: "Room does not exist." };
 
-  if (room.roundCount >= room.tracks.length) {
-    // Game over
-    io.to(code).emit("gameOver", {
-      scores: [...room.users.values()].map((u) => ({
-        name: u.name,
-        score: u.score,
-      })),
+  clearRoundTimer(code);
+
+  if (room.roundCount >= room.tracks.length || isEliminationOver(room)) {
+    // A tie for first place goes to sudden death while reserve tracks last
+    const tied = room.gameType === "elimination" ? [] : getTiedLeaders(room);
+    if (!tied.length || !room.extraTracks?.length) return endGame(code, room);
+
+    room.tiebreak = tied;
+    io.to(code).emit("chat", {
+      system: true,
+      text: `Sudden death: ${getTiebreakPlayers(room, tied)
+        .map(([, u]) => u.name)
+        .join(" vs ")}!`,
     });
-    return { ok: true, gameOver: true };
   }
 
   let playback = null;
   let currentTrackIndex = room.roundCount;
   let track = null;
 
-  while (currentTrackIndex < room.tracks.length && !playback) {
+  while (!playback) {
+    // Sudden death draws its tracks from the reserve one at a time
+    if (currentTrackIndex >= room.tracks.length) {
+      if (!room.tiebreak || !room.extraTracks?.length) break;
+      room.tracks.push(room.extraTracks.shift());
+    }
     track = room.tracks[currentTrackIndex];
-    playback = await buildPlaybackForTrack(track, room.mode);
+    playback = await buildPlaybackForTrack(track, room.mode, {
+      snippetStart: room.snippetStart,
+      intro: room.introChallenge,
+      random: getRoundRandom(room, currentTrackIndex),
+    });
     if (!playback) {
       console.warn(
         `Skipping unplayable track: ${track.title} at index ${currentTrackIndex}`,
@@ -468,24 +1506,61 @@ async function triggerNextRound(code) {
   }
 
   if (!playback) {
+    // Reserve ran dry: the tie stands
+    if (room.tiebreak) return endGame(code, room);
     return { error: "Could not load playback for any remaining tracks." };
   }
 
   room.roundCount = currentTrackIndex + 1;
+  const yearRound = isYearRound(room, currentTrackIndex, track);
 
   room.currentRound = {
     startedAt: Date.now(),
     track,
     playback,
-    answer: { title: track.title, artist: track.artist || "" },
+    answer: {
+      title: track.title,
+      artist: track.artist || "",
+      aliases: getAnswerAliases({
+        ...track,
+        aliases: [
+          ...(track.aliases || []),
+          ...getCandidateAliases(room, trackKey(track)),
+        ],
+      }),
+    },
     solved: false,
     paused: false,
+    duration: (room.roundDuration ?? DEFAULT_ROUND_DURATION) * 1000,
+    pausedAt: null,
+    pausedMs: 0,
+    solvers: [],
+    choice:
+      room.gameType === "choice" && !yearRound
+        ? {
+            ...buildChoiceOptions(
+              track,
+              [...room.tracks, ...(room.distractorPool || [])],
+              undefined,
+              getRoundRandom(room, currentTrackIndex),
+            ),
+            picks: {},
+          }
+        : null,
+    year: yearRound
+      ? {
+          mode: room.yearGuess,
+          actual: getTrackYear(track),
+          bonus: room.gameType !== "year",
+          guesses: {},
+        }
+      : null,
     buzzer: null, // set on first buzz
-    hint: {
-      titleLen: track.title?.length || 0,
-      artistLen: track.artist?.length || 0,
-    },
+    hint: buildHint(track, 0),
+    intro: room.introChallenge ? { stage: 0 } : null,
+    tiebreak: room.tiebreak || null,
   };
+  prefetchTracks(room, room.roundCount);
 
   room.skipVotes = new Set();
 
@@ -496,9 +1571,28 @@ async function triggerNextRound(code) {
     startedAt: room.currentRound.startedAt,
     hint: room.currentRound.hint,
     playback,
+    duration: room.currentRound.duration,
+    timeRemaining: getTimeRemaining(room.currentRound),
+    choices: room.currentRound.choice?.options || null,
+    year: yearRound
+      ? {
+          mode: room.yearGuess,
+          bonus: room.currentRound.year.bonus,
+          answer: { title: track.title, artist: track.artist || "" },
+        }
+      : null,
+    intro: room.currentRound.intro,
+    tiebreak: room.tiebreak
+      ? getTiebreakPlayers(room, room.tiebreak).map(([, u]) => u.name)
+      : null,
   };
 
   io.to(code).emit("roundStart", payload);
+  scheduleRoundTimer(code);
+  // Players' history writes must not hold up the round
+  rememberRound(room, track).catch((e) =>
+    console.error(`Failed to remember the round in ${code}:`, e),
+  );
   return { ok: true };
 }
 
@@ -519,6 +1613,9 @@ io.on("connection", (socket) => {
       roundCount: 0,
       currentRound: null,
       skipVotes: new Set(),
+      teams: [],
+      teamSelfSelect: false,
+      oneBuzzPerTeam: false,
     };
     rooms.set(code, room);
     await saveRoom(code, room);
@@ -528,7 +1625,7 @@ io.on("connection", (socket) => {
   });
 
   // Join room
-  socket.on("joinRoom", async ({ code, name, token }, cb) => {
+  socket.on("joinRoom", async ({ code, name, token, guestId }, cb) => {
     const room = await getRoom(code);
     if (!room) return cb && cb({ error: "Room does not exist." });
 
@@ -563,6 +1660,7 @@ io.on("connection", (socket) => {
         socket.join(code);
         await saveRoom(code, room);
         broadcastRoom(code);
+        if (room.hostId === socket.id) sendGuessLog(room);
         return cb && cb({ ok: true, hostId: room.hostId, recovered: true });
       }
     } else {
@@ -576,12 +1674,21 @@ io.on("connection", (socket) => {
       name: name?.trim() || "Gracz",
       score: 0,
       uid,
+      guestId: sanitizeGuestId(guestId),
       photoURL,
+      teamId: null,
     };
+    // Joining a running elimination game means watching it
+    if (room.gameType === "elimination" && room.answersKnown) {
+      newUser.lives = 0;
+    }
 
     // Check if user was already in Firestore (but maybe not in Map yet)
     if (uid && room.players?.[uid]) {
       newUser.score = room.players[uid].score;
+      newUser.teamId = room.players[uid].teamId || null;
+      if (room.players[uid].lives != null)
+        newUser.lives = room.players[uid].lives;
     }
 
     room.users.set(socket.id, newUser);
@@ -594,11 +1701,13 @@ io.on("connection", (socket) => {
     });
 
     broadcastRoom(code);
+    // A host back from a reload can still review the last round
+    if (room.hostId === socket.id) sendGuessLog(room);
     cb && cb({ ok: true, hostId: room.hostId });
   });
 
   // Leave room / disconnect
-  socket.on("disconnect", () => {
+  socket.on("disconnect", async () => {
     for (const [code, room] of rooms.entries()) {
       if (!room.users.has(socket.id)) continue;
       const user = room.users.get(socket.id);
@@ -655,7 +1764,30 @@ io.on("connection", (socket) => {
         room.hostId = next || null;
       }
 
+      // The one player still guessing may have left
+      try {
+        if (
+          r &&
+          !r.solved &&
+          room.solveMode === "everyone" &&
+          r.solvers?.length > 0 &&
+          allPlayersSolved(room)
+        ) {
+          const first = r.solvers[0];
+          await endRound(code, room, {
+            winner: first.name,
+            elapsedMs: first.elapsedMs,
+          });
+        } else if (r && !r.solved && allPlayersAnswered(room)) {
+          // Or the last one yet to pick an option or a year
+          await endRound(code, room, {});
+        }
+      } catch (e) {
+        console.error(`Failed to end round in ${code} on disconnect:`, e);
+      }
+
       if (room.users.size === 0) {
+        clearRoundTimer(code);
         rooms.delete(code);
       } else {
         broadcastRoom(code);
@@ -695,34 +1827,185 @@ io.on("connection", (socket) => {
     cb && cb({ ok: true, name: user.name });
   });
 
-  // Start game (host only)
-  socket.on("startGame", async ({ code, mode, tracks, gameType }, cb) => {
+  // ===== TEAMS =====
+
+  socket.on("createTeam", async ({ code, name }, cb) => {
     const room = await getRoom(code);
     if (!room) return cb && cb({ error: "Room does not exist." });
-    if (!tracks || tracks.length < 1)
-      return cb && cb({ error: "Playlist must have at least 1 track." });
+    if (room.hostId !== socket.id)
+      return cb && cb({ error: "Only the host can create teams." });
 
-    room.mode = mode; // spotify | youtube
-    room.gameType = gameType || "text"; // text | buzzer
+    const result = createTeam(room, name);
+    if (result.error) return cb && cb(result);
 
-    // Shuffle and pick
-    const shuffled = [...tracks].sort(() => Math.random() - 0.5);
-    room.tracks = shuffled;
+    await saveRoom(code, room);
+    broadcastRoom(code);
+    cb && cb({ ok: true, team: result.team });
+  });
 
-    room.answersKnown = true;
-    room.currentRound = null;
-    room.roundCount = 0;
-    room.skipVotes = new Set();
+  socket.on("deleteTeam", async ({ code, teamId }, cb) => {
+    const room = await getRoom(code);
+    if (!room) return cb && cb({ error: "Room does not exist." });
+    if (room.hostId !== socket.id)
+      return cb && cb({ error: "Only the host can delete teams." });
+    if (!deleteTeam(room, teamId))
+      return cb && cb({ error: "Team not found." });
 
     await saveRoom(code, room);
-    io.to(code).emit("gameStarted", {
-      mode: room.mode,
-      gameType: room.gameType,
-    });
     broadcastRoom(code);
     cb && cb({ ok: true });
   });
 
+  // Host assigns anyone, players may pick their own team if allowed
+  socket.on("assignTeam", async ({ code, targetSid, teamId }, cb) => {
+    const room = await getRoom(code);
+    if (!room) return cb && cb({ error: "Room does not exist." });
+
+    const sid = targetSid || socket.id;
+    const isHost = room.hostId === socket.id;
+    if (!isHost && (sid !== socket.id || !room.teamSelfSelect))
+      return cb && cb({ error: "Only the host can assign teams." });
+
+    const user = room.users.get(sid);
+    if (!user) return cb && cb({ error: "Player not found." });
+    if (teamId && !findTeam(room, teamId))
+      return cb && cb({ error: "Team not found." });
+
+    user.teamId = teamId || null;
+    await saveRoom(code, room);
+    broadcastRoom(code);
+    cb && cb({ ok: true });
+  });
+
+  socket.on(
+    "setTeamSettings",
+    async ({ code, selfSelect, oneBuzzPerTeam }, cb) => {
+      const room = await getRoom(code);
+      if (!room) return cb && cb({ error: "Room does not exist." });
+      if (room.hostId !== socket.id)
+        return cb && cb({ error: "Only the host can change team settings." });
+
+      if (selfSelect !== undefined) room.teamSelfSelect = !!selfSelect;
+      if (oneBuzzPerTeam !== undefined) room.oneBuzzPerTeam = !!oneBuzzPerTeam;
+
+      await saveRoom(code, room);
+      broadcastRoom(code);
+      cb && cb({ ok: true });
+    },
+  );
+
+  // Start game (host only)
+  socket.on(
+    "startGame",
+    async (
+      {
+        code,
+        mode,
+        tracks,
+        gameType,
+        roundDuration,
+        scoring,
+        solveMode,
+        distractors,
+        progressiveHints,
+        snippetStart,
+        introChallenge,
+        lives,
+        extraTracks,
+        seed,
+        yearGuess,
+        yearBonusEvery,
+        matchProfile,
+      },
+      cb,
+    ) => {
+      const room = await getRoom(code);
+      if (!room) return cb && cb({ error: "Room does not exist." });
+      if (!tracks || tracks.length < 1)
+        return cb && cb({ error: "Playlist must have at least 1 track." });
+      const connected = [...room.users.keys()].filter(
+        (sid) => !sid.startsWith("pending-"),
+      );
+      if (gameType === "elimination" && connected.length < 2)
+        return cb && cb({ error: "Elimination needs at least 2 players." });
+      // Year games only play tracks with a known release date
+      if (gameType === "year") {
+        tracks = tracks.filter(hasReleaseYear);
+        extraTracks = Array.isArray(extraTracks)
+          ? extraTracks.filter(hasReleaseYear)
+          : [];
+        if (!tracks.length)
+          return (
+            cb && cb({ error: "None of these tracks has a release year." })
+          );
+      }
+
+      room.mode = mode; // spotify | youtube | mixed | local
+      room.gameType = gameType || "text"; // text | buzzer | choice | elimination | year
+
+      // Seconds per round, 0 disables the timer
+      const duration = Number(roundDuration);
+      room.roundDuration = Number.isFinite(duration)
+        ? Math.min(MAX_ROUND_DURATION, Math.max(0, Math.round(duration)))
+        : DEFAULT_ROUND_DURATION;
+      room.scoring = normalizeScoringMode(scoring); // flat | speed
+      room.solveMode = normalizeSolveMode(solveMode); // first | everyone
+      room.distractorPool = sanitizeDistractorPool(distractors);
+      room.extraTracks = sanitizeExtraTracks(extraTracks);
+      room.tiebreak = null;
+      room.progressiveHints = !!progressiveHints;
+      room.snippetStart = normalizeSnippetStart(snippetStart); // start | random | chorus
+      room.introChallenge = !!introChallenge;
+      room.yearGuess = normalizeYearGuessMode(yearGuess); // year | decade
+      room.yearBonusEvery =
+        room.gameType === "year" ? 0 : normalizeYearBonus(yearBonusEvery);
+      room.matchProfile = normalizeMatchProfile(matchProfile); // lenient | normal | strict
+
+      // Everyone answers each round, the rest lose a life
+      if (room.gameType === "elimination") {
+        room.solveMode = "everyone";
+        room.startingLives = normalizeLives(lives);
+      }
+      for (const u of room.users.values()) {
+        if (room.gameType === "elimination") u.lives = room.startingLives;
+        else delete u.lives;
+      }
+
+      // Same seed, same playlist: same game
+      room.seed = normalizeSeed(seed);
+      room.tracks = shuffle([...tracks], createRandom(room.seed));
+      prefetchTracks(room, 0);
+
+      clearRoundTimer(room.code);
+      // A new game starts from zero, also for players who left the last one
+      for (const team of room.teams || []) team.score = 0;
+      for (const u of room.users.values()) u.score = 0;
+      for (const p of Object.values(room.players || {})) p.score = 0;
+      room.answersKnown = true;
+      room.currentRound = null;
+      room.roundCount = 0;
+      room.skipVotes = new Set();
+
+      await saveRoom(code, room);
+      io.to(code).emit("gameStarted", {
+        mode: room.mode,
+        gameType: room.gameType,
+        roundDuration: room.roundDuration,
+        scoring: room.scoring,
+        solveMode: room.solveMode,
+        progressiveHints: room.progressiveHints,
+        snippetStart: room.snippetStart,
+        introChallenge: room.introChallenge,
+        yearGuess: room.yearGuess,
+        yearBonusEvery: room.yearBonusEvery,
+        matchProfile: room.matchProfile,
+        lives: room.startingLives ?? null,
+      });
+      broadcastRoom(code);
+      cb && cb({ ok: true });
+    },
+  );
+
   // Next round (host only)
   socket.on("nextRound", async ({ code }, cb) => {
     const room = await getRoom(code);
@@ -768,57 +2051,233 @@ io.on("connection", (socket) => {
   });
 
   // TEXT mode guessing
-  socket.on("guess", async ({ code, guessText }, cb) => {
+  socket.on(
+    "guess",
+    async ({ code, guessText, guessArtist, guessTitle }, cb) => {
+      const room = await getRoom(code);
+      if (!room || !room.currentRound)
+        return cb && cb({ error: "Round is not active." });
+      if (room.currentRound.solved)
+        return cb && cb({ error: "Round is already finished." });
+      if (room.currentRound.year)
+        return cb && cb({ error: "Guess the release year instead." });
+      if (room.gameType === "buzzer") {
+        return cb && cb({ error: "Use buzzer mode flow." });
+      }
+      if (room.gameType === "choice") {
+        return cb && cb({ error: "Pick one of the answers instead." });
+      }
+
+      if (isEliminated(room.users.get(socket.id)))
+        return cb && cb({ error: "You have been eliminated." });
+
+      const r = room.currentRound;
+      if (!isRoundPlayer(r, socket.id, room.users.get(socket.id)))
+        return cb && cb({ error: "Only tied players play sudden death." });
+      if (!r.solvers) r.solvers = [];
+      if (hasSolved(r, socket.id, room.users.get(socket.id)))
+        return cb && cb({ error: "You have already solved this round." });
+
+      const { title, artist, aliases } = r.answer;
+      const match = matchTextGuess(
+        { text: guessText, artist: guessArtist, title: guessTitle },
+        artist,
+        title,
+        aliases,
+        { profile: room.matchProfile },
+      );
+
+      // Artist named in an earlier guess still counts once the title comes in
+      if (!r.partials) r.partials = {};
+      const partial = r.partials[socket.id];
+      const artistCorrect = match.artistCorrect || !!partial;
+      const { titleCorrect } = match;
+
+      const elapsedMs = getActiveElapsedMs(r);
+      const player = room.users.get(socket.id);
+      // Only text games have a host review of the guesses
+      const logEntry = (points) =>
+        room.gameType === "text" &&
+        logGuess(r, {
+          sid: socket.id,
+          key: getPlayerKey(player),
+          name: player?.name || "Ktoś",
+          text:
+            guessText || [guessArtist, guessTitle].filter(Boolean).join(" - "),
+          match,
+          points,
+          elapsedMs,
+          hintLevel: r.hint?.level || 0,
+          introStage: r.intro?.stage ?? null,
+        });
+
+      if (!titleCorrect) {
+        if (!match.artistCorrect || partial) {
+          // Saved with the next score change, a write per miss is too many
+          logEntry(0);
+          return (
+            cb && cb({ ok: true, correct: false, ...getGuessFeedback(match) })
+          );
+        }
+        // Partial credit for the artist, the round goes on
+        const breakdown = calculateGuessPoints({
+          artistCorrect: true,
+          titleCorrect: false,
+          elapsedMs,
+          durationMs: r.duration,
+          scoring: room.scoring,
+          hintLevel: r.hint?.level || 0,
+          introStage: r.intro?.stage ?? null,
+        });
+        r.partials[socket.id] = { points: breakdown.total };
+        addPoints(room, player, breakdown.total);
+        logEntry(breakdown.total);
+        await saveRoom(code, room);
+        broadcastRoom(code);
+        return (
+          cb &&
+          cb({
+            ok: true,
+            correct: false,
+            ...getGuessFeedback(match),
+            points: breakdown,
+          })
+        );
+      }
+
+      const breakdown = calculateGuessPoints({
+        artistCorrect,
+        titleCorrect,
+        elapsedMs,
+        durationMs: r.duration,
+        scoring: room.scoring,
+        position: r.solvers.length + 1,
+        hintLevel: r.hint?.level || 0,
+        introStage: r.intro?.stage ?? null,
+      });
+      const points = breakdown.total;
+
+      const awarded = Math.max(0, points - (partial?.points || 0));
+      addPoints(room, player, awarded);
+      logEntry(awarded);
+      r.solvers.push({
+        sid: socket.id,
+        key: getPlayerKey(player),
+        name: player?.name || "Ktoś",
+        elapsedMs,
+        points,
+        breakdown,
+      });
+
+      if (room.solveMode === "everyone" && !allPlayersSolved(room)) {
+        io.to(code).emit("chat", {
+          system: true,
+          text: `${player?.name || "Ktoś"} guessed it! (#${r.solvers.length})`,
+        });
+        await saveRoom(code, room);
+        broadcastRoom(code);
+        return (
+          cb &&
+          cb({
+            ok: true,
+            correct: true,
+            artistCorrect,
+            titleCorrect,
+            points: breakdown,
+          })
+        );
+      }
+
+      const first = r.solvers[0];
+      await endRound(code, room, {
+        winner: first.name,
+        elapsedMs: first.elapsedMs,
+      });
+      cb &&
+        cb({
+          ok: true,
+          correct: true,
+          artistCorrect,
+          titleCorrect,
+          points: breakdown,
+        });
+    },
+  );
+
+  // CHOICE mode: lock in one of the options, scored at round end
+  socket.on("pickChoice", async ({ code, index }, cb) => {
     const room = await getRoom(code);
     if (!room || !room.currentRound)
       return cb && cb({ error: "Round is not active." });
     if (room.currentRound.solved)
       return cb && cb({ error: "Round is already finished." });
-    if (room.gameType === "buzzer") {
-      return cb && cb({ error: "Use buzzer mode flow." });
-    }
+    if (room.gameType !== "choice")
+      return cb && cb({ error: "Not in multiple-choice mode." });
+    if (!room.currentRound.choice)
+      return cb && cb({ error: "Guess the release year instead." });
 
-    const { title, artist } = room.currentRound.answer;
-    const { artistCorrect, titleCorrect } = getDetailedMatch(
-      "", // we don't separate artist/title in text input
-      guessText,
-      artist,
-      title,
-    );
+    const r = room.currentRound;
+    const player = room.users.get(socket.id);
+    if (!player) return cb && cb({ error: "Player not in room." });
+    if (!isRoundPlayer(r, socket.id, player))
+      return cb && cb({ error: "Only tied players play sudden death." });
+    if (r.choice.picks[socket.id])
+      return cb && cb({ error: "Your answer is already locked in." });
+
+    const idx = Number(index);
+    if (!Number.isInteger(idx) || idx < 0 || idx >= r.choice.options.length)
+      return cb && cb({ error: "Invalid answer." });
+
+    r.choice.picks[socket.id] = {
+      index: idx,
+      elapsedMs: getActiveElapsedMs(r),
+      hintLevel: r.hint?.level || 0,
+      introStage: r.intro?.stage ?? null,
+    };
 
-    let points = 0;
-    if (artistCorrect && titleCorrect) {
-      points = 10;
-    } else if (titleCorrect) {
-      points = 5;
+    if (allPlayersAnswered(room)) {
+      await endRound(code, room, {});
+    } else {
+      await saveRoom(code, room);
+      broadcastRoom(code);
     }
+    cb && cb({ ok: true });
+  });
 
-    if (points === 0) {
-      return cb && cb({ ok: true, correct: false });
-    }
+  socket.on("guessYear", async ({ code, year }, cb) => {
+    const room = await getRoom(code);
+    if (!room || !room.currentRound)
+      return cb && cb({ error: "Round is not active." });
+    if (room.currentRound.solved)
+      return cb && cb({ error: "Round is already finished." });
+    if (!room.currentRound.year)
+      return cb && cb({ error: "Not a year round." });
 
-    room.currentRound.solved = true;
+    const r = room.currentRound;
     const player = room.users.get(socket.id);
-    if (player) {
-      player.score += points;
-      if (player.uid) {
-        updateLeaderboardScore(player.uid, player.name, points);
-      }
-    }
+    if (!player) return cb && cb({ error: "Player not in room." });
+    if (isEliminated(player))
+      return cb && cb({ error: "You have been eliminated." });
+    if (!isRoundPlayer(r, socket.id, player))
+      return cb && cb({ error: "Only tied players play sudden death." });
+    if (r.year.guesses[socket.id])
+      return cb && cb({ error: "Your answer is already locked in." });
+
+    const guess = parseYearGuess(year, r.year.mode);
+    if (guess === null) return cb && cb({ error: "Invalid year." });
+
+    r.year.guesses[socket.id] = {
+      year: guess,
+      elapsedMs: getActiveElapsedMs(r),
+    };
 
-    await saveRoom(code, room);
-    const elapsedMs = Date.now() - room.currentRound.startedAt;
-    io.to(code).emit("roundEnd", {
-      winner: player?.name || "Ktoś",
-      answer: { title, artist },
-      elapsedMs,
-      scores: [...room.users.values()].map((u) => ({
-        name: u.name,
-        score: u.score,
-      })),
-    });
-    broadcastRoom(code);
-    cb && cb({ ok: true, correct: true });
+    if (allPlayersAnswered(room)) {
+      await endRound(code, room, {});
+    } else {
+      await saveRoom(code, room);
+      broadcastRoom(code);
+    }
+    cb && cb({ ok: true });
   });
 
   // Chat
@@ -846,20 +2305,7 @@ io.on("connection", (socket) => {
         system: true,
         text: "Track skipped by majority vote!",
       });
-      const { title, artist } = room.currentRound.answer;
-      room.currentRound.solved = true;
-      await saveRoom(code, room);
-      io.to(code).emit("roundEnd", {
-        winner: null,
-        answer: { title, artist },
-        elapsedMs: Date.now() - room.currentRound.startedAt,
-        scores: [...room.users.values()].map((u) => ({
-          name: u.name,
-          score: u.score,
-        })),
-        skipped: true,
-      });
-      broadcastRoom(code);
+      await endRound(code, room, { winner: null, skipped: true });
     }
 
     cb && cb({ ok: true });
@@ -874,21 +2320,36 @@ io.on("connection", (socket) => {
       return cb && cb({ error: "Round is not active." });
     if (room.gameType !== "buzzer")
       return cb && cb({ error: "Not in buzzer mode." });
+    if (room.currentRound.year)
+      return cb && cb({ error: "Guess the release year instead." });
 
     const r = room.currentRound;
     const player = room.users.get(socket.id);
     if (!player) return cb && cb({ error: "Player not in room." });
+    if (!isRoundPlayer(r, socket.id, player))
+      return cb && cb({ error: "Only tied players play sudden death." });
+
+    const isCurrentOrQueued =
+      r.buzzer?.currentId === socket.id ||
+      r.buzzer?.queue.some((p) => p.id === socket.id);
+    if (room.oneBuzzPerTeam && player.teamId && !isCurrentOrQueued) {
+      if (!r.buzzedTeams) r.buzzedTeams = [];
+      if (r.buzzedTeams.includes(player.teamId))
+        return cb && cb({ error: "Your team has already buzzed this round." });
+      r.buzzedTeams.push(player.teamId);
+    }
 
     if (!r.buzzer) {
       r.buzzer = {
         tsFirst: Date.now(),
+        elapsedMs: getActiveElapsedMs(r),
         currentId: socket.id,
         currentName: player.name,
         queue: [],
       };
 
       io.to(code).emit("pausePlayback"); // <-- pauza przy pierwszym buzz
-      r.paused = true;
+      pauseRoundClock(code, room);
       io.to(code).emit("buzzed", {
         id: r.buzzer.currentId,
         name: r.buzzer.currentName,
@@ -898,6 +2359,7 @@ io.on("connection", (socket) => {
         queue: r.buzzer.queue.map((p) => p.name),
       });
       await saveRoom(code, room);
+      broadcastRoom(code);
       return cb && cb({ ok: true, first: true });
     }
 
@@ -944,16 +2406,18 @@ io.on("connection", (socket) => {
 
       // ✅ WYMAGANIE: przy przejściu na kolejną osobę zatrzymać muzykę (osoba ta "wcisnęła" buzzer)
       io.to(code).emit("pausePlayback");
-      r.paused = true;
+      pauseRoundClock(code, room);
 
       await saveRoom(code, room);
+      broadcastRoom(code);
       return cb && cb({ ok: true, passed: true });
     } else {
       r.buzzer = null;
       io.to(code).emit("buzzCleared", {});
       io.to(code).emit("resumePlayback");
-      r.paused = false;
+      resumeRoundClock(code, room);
       await saveRoom(code, room);
+      broadcastRoom(code);
       return cb && cb({ ok: true, cleared: true });
     }
   });
@@ -973,10 +2437,7 @@ io.on("connection", (socket) => {
     if (!entry) return cb && cb({ error: "Player not found." });
     const p = entry[1];
     const pts = Number(points) || 10;
-    p.score += pts;
-    if (p.uid) {
-      updateLeaderboardScore(p.uid, p.name, pts);
-    }
+    addPoints(room, p, pts);
 
     await saveRoom(code, room);
     broadcastRoom(code);
@@ -999,16 +2460,108 @@ io.on("connection", (socket) => {
 
     const p = entry[1];
     const pts = Number(points) || 10;
-    p.score -= pts;
-    if (p.score < 0) p.score = 0;
+    addPoints(room, p, -pts);
 
-    if (p.uid) {
-      updateLeaderboardScore(p.uid, p.name, -pts);
+    await saveRoom(code, room);
+    broadcastRoom(code);
+    cb && cb({ ok: true });
+  });
+
+  // Host overturns the verdict on a logged guess once the round is over
+  socket.on("overturnGuess", async ({ code, id }, cb) => {
+    const room = await getRoom(code);
+    if (!room) return cb && cb({ error: "Room does not exist." });
+    if (room.hostId !== socket.id)
+      return cb && cb({ error: "Only the host can review guesses." });
+    if (room.gameType !== "text")
+      return (
+        cb && cb({ error: "Guess review is only available in text mode." })
+      );
+
+    const r = room.currentRound;
+    if (!r) return cb && cb({ error: "Round is not active." });
+    if (!r.solved) return cb && cb({ error: "Wait until the round is over." });
+    const entry = Number.isInteger(id) ? r.guessLog?.[id] : null;
+    if (!entry) return cb && cb({ error: "Guess not found." });
+    if (entry.overturned)
+      return cb && cb({ error: "This verdict was already overturned." });
+
+    // Socket ids change when players reconnect
+    const [, player] =
+      findPlayer(room, { sid: entry.sid, key: entry.key }) || [];
+    if (!player) return cb && cb({ error: "Player not found." });
+    if (!r.partials) r.partials = {};
+    const scoreAs = (artistCorrect, titleCorrect, position) =>
+      calculateGuessPoints({
+        artistCorrect,
+        titleCorrect,
+        elapsedMs: entry.elapsedMs,
+        durationMs: r.duration,
+        scoring: room.scoring,
+        position,
+        hintLevel: entry.hintLevel,
+        introStage: entry.introStage,
+      });
+
+    let delta;
+    if (entry.titleCorrect) {
+      // Take back the title points; an artist named in this guess still counts
+      delta = -entry.points;
+      if (entry.artistCorrect && !r.partials[entry.sid]) {
+        const artistPoints = scoreAs(true, false, 1).total;
+        r.partials[entry.sid] = { points: artistPoints };
+        delta += artistPoints;
+      }
+      r.solvers = (r.solvers || []).filter(
+        (s) => !isSameSolver(s, entry.sid, player),
+      );
+      rescoreSolvers(room, r);
+    } else {
+      if (hasSolved(r, entry.sid, player))
+        return cb && cb({ error: "Player already solved this round." });
+      const partial = r.partials[entry.sid];
+      // Scored at the time it was sent, among the solvers that were faster
+      let index = r.solvers.findIndex((s) => s.elapsedMs > entry.elapsedMs);
+      if (index < 0) index = r.solvers.length;
+      const breakdown = scoreAs(
+        entry.artistCorrect || !!partial,
+        true,
+        index + 1,
+      );
+      const points = breakdown.total;
+      delta = Math.max(0, points - (partial?.points || 0));
+      r.solvers.splice(index, 0, {
+        sid: entry.sid,
+        key: getPlayerKey(player),
+        name: entry.name,
+        elapsedMs: entry.elapsedMs,
+        points,
+        breakdown,
+      });
+      rescoreSolvers(room, r);
+      addAliasCandidate(
+        room,
+        trackKey(r.track),
+        r.track,
+        entry.titleGuess,
+        entry.name,
+      );
     }
 
+    delta = addPoints(room, player, delta);
+    entry.points += delta;
+    entry.titleCorrect = !entry.titleCorrect;
+    entry.result = entry.titleCorrect ? "correct" : "wrong";
+    entry.overturned = true;
+
     await saveRoom(code, room);
+    io.to(code).emit("chat", {
+      system: true,
+      text: `Host ${entry.titleCorrect ? "accepted" : "rejected"} ${entry.name}'s answer "${entry.text}".`,
+    });
+    sendGuessLog(room);
     broadcastRoom(code);
-    cb && cb({ ok: true });
+    cb && cb({ ok: true, points: delta });
   });
 
   // Host ends round manually (buzzer)
@@ -1018,31 +2571,17 @@ io.on("connection", (socket) => {
       return cb && cb({ error: "Round is not active." });
     if (room.hostId !== socket.id)
       return cb && cb({ error: "Only the host can end the round." });
-    if (room.gameType !== "buzzer")
-      return cb && cb({ error: "Not in buzzer mode." });
-
-    const { title, artist } = room.currentRound.answer;
+    if (room.gameType !== "buzzer" && room.gameType !== "choice")
+      return cb && cb({ error: "Not available in this game mode." });
 
     // Timer: do pierwszego buzz (pauza po buzz)
-    const tsFirst = room.currentRound.buzzer?.tsFirst;
-    const elapsedMs = tsFirst
-      ? tsFirst - room.currentRound.startedAt
-      : Date.now() - room.currentRound.startedAt;
+    const elapsedMs =
+      room.currentRound.buzzer?.elapsedMs ??
+      getActiveElapsedMs(room.currentRound);
 
     const winner = room.currentRound.buzzer?.currentName || null;
 
-    room.currentRound.solved = true;
-    await saveRoom(code, room);
-    io.to(code).emit("roundEnd", {
-      winner,
-      answer: { title, artist },
-      elapsedMs,
-      scores: [...room.users.values()].map((u) => ({
-        name: u.name,
-        score: u.score,
-      })),
-    });
-    broadcastRoom(code);
+    await endRound(code, room, { winner, elapsedMs });
     cb && cb({ ok: true });
   });
 
@@ -1056,11 +2595,15 @@ io.on("connection", (socket) => {
     const target = room.currentRound?.answer;
     if (!target) return cb && cb({ error: "Round is not active." });
 
-    const match = getDetailedMatch(artist, title, target.artist, target.title);
-    cb({
-      artistCorrect: match.artistCorrect,
-      titleCorrect: match.titleCorrect,
-    });
+    const match = getDetailedMatch(
+      artist,
+      title,
+      target.artist,
+      target.title,
+      target.aliases,
+      { profile: room.matchProfile },
+    );
+    cb(match);
   });
 
   socket.on("setName", async ({ code, name }, cb) => {
@@ -1083,7 +2626,7 @@ io.on("connection", (socket) => {
     if (room.hostId !== socket.id)
       return cb && cb({ error: "Only the host can pause the round." });
 
-    room.currentRound.paused = true;
+    pauseRoundClock(code, room);
     io.to(code).emit("pausePlayback");
     await saveRoom(code, room);
     broadcastRoom(code);
@@ -1097,13 +2640,38 @@ io.on("connection", (socket) => {
     if (room.hostId !== socket.id)
       return cb && cb({ error: "Only the host can resume the round." });
 
-    room.currentRound.paused = false;
+    resumeRoundClock(code, room);
     io.to(code).emit("resumePlayback");
     await saveRoom(code, room);
     broadcastRoom(code);
     cb && cb({ ok: true });
   });
 
+  // Intro challenge: play a longer clip, fewer points from now on (host only)
+  socket.on("extendIntro", async ({ code }, cb) => {
+    const room = await getRoom(code);
+    if (!room || !room.currentRound)
+      return cb && cb({ error: "Round is not active." });
+    if (room.hostId !== socket.id)
+      return cb && cb({ error: "Only the host can extend the clip." });
+
+    const r = room.currentRound;
+    if (!r.intro || r.solved)
+      return cb && cb({ error: "Intro challenge is not active." });
+    if (r.intro.stage >= INTRO_CLIPS.length)
+      return cb && cb({ error: "The full track is already playing." });
+
+    r.intro.stage += 1;
+    r.playback.endAt = getIntroEndAt(r.playback.startAt, r.intro.stage);
+    io.to(code).emit("introExtended", {
+      stage: r.intro.stage,
+      playback: r.playback,
+    });
+    await saveRoom(code, room);
+    broadcastRoom(code);
+    cb && cb({ ok: true });
+  });
+
   socket.on("disconnect", async () => {
     for (const [code, room] of rooms.entries()) {
       if (room.users.has(socket.id)) {
@@ -0,0 +1,85 @@
+// Track order: unbiased (optionally seeded) shuffling and a preference for
+// songs the room and its players haven't heard lately.
+
+// Recently played track keys kept per room and per user
+export const MAX_RECENT_TRACKS = 300;
+
+// FNV-1a, turns any seed string into a 32-bit state
+function hashSeed(seed) {
+  let h = 2166136261;
+  for (const ch of String(seed)) {
+    h ^= ch.codePointAt(0);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Random function for shuffles: Math.random without a seed, otherwise a
+ * mulberry32 generator so the same seed gives the same game.
+ */
+export function createRandom(seed) {
+  if (seed === undefined || seed === null || seed === "") return Math.random;
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function normalizeSeed(seed) {
+  return typeof seed === "string" || typeof seed === "number"
+    ? String(seed).trim().slice(0, 64)
+    : "";
+}
+
+// Fisher–Yates in place, returns the list for chaining
+export function shuffle(list, random = Math.random) {
+  for (let i = list.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [list[i], list[j]] = [list[j], list[i]];
+  }
+  return list;
+}
+
+/**
+ * Merges recently-played lists (oldest first) into key -> rounds since it
+ * was last heard, counting from the end of each list.
+ */
+export function getPlayedAges(lists) {
+  const ages = new Map();
+  for (const list of lists) {
+    list.forEach((key, i) => {
+      const age = list.length - 1 - i;
+      if (!ages.has(key) || age < ages.get(key)) ages.set(key, age);
+    });
+  }
+  return ages;
+}
+
+/**
+ * Moves unplayed tracks to the front, keeping their (shuffled) order;
+ * played ones follow, longest-unheard first. `freshOnly` drops them instead.
+ */
+export function preferFresh(tracks, ages, keyOf, { freshOnly = false } = {}) {
+  const fresh = [];
+  const played = [];
+  for (const t of tracks) {
+    if (ages.has(keyOf(t))) played.push(t);
+    else fresh.push(t);
+  }
+  if (freshOnly) return fresh;
+  played.sort((a, b) => ages.get(keyOf(b)) - ages.get(keyOf(a)));
+  return [...fresh, ...played];
+}
+
+// Appends keys (newest last), dropping earlier copies and the oldest overflow
+export function rememberPlayed(list = [], keys) {
+  const added = new Set(keys);
+  return [...list.filter((k) => !added.has(k)), ...added].slice(
+    -MAX_RECENT_TRACKS,
+  );
+}
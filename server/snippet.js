@@ -0,0 +1,57 @@
+// Where playback of a round starts
+export const SNIPPET_STARTS = ["start", "random", "chorus"];
+
+// Intro challenge: clip lengths in seconds, after the last one the track plays on
+export const INTRO_CLIPS = [1, 3, 5];
+// Share of the points still available at each intro stage (last = full track)
+const INTRO_MULTIPLIERS = [1, 0.75, 0.5, 0.35];
+
+// Spotify preview_url clips are 30 seconds long
+const PREVIEW_LENGTH_MS = 30_000;
+
+export function normalizeSnippetStart(mode) {
+  return SNIPPET_STARTS.includes(mode) ? mode : "start";
+}
+
+/**
+ * Start offset in whole seconds.
+ * "chorus" is a heuristic: the first chorus usually lands around a third
+ * of the way in. Spotify previews are already cut from the middle of the
+ * song, so they only get a small random shift.
+ * `random` is the round's generator, seeded games get the same offsets.
+ */
+export function pickStartOffset({
+  lengthMs,
+  mode,
+  isPreview = false,
+  random = Math.random,
+}) {
+  const snippet = normalizeSnippetStart(mode);
+  if (snippet === "start") return 0;
+
+  if (isPreview) {
+    if (snippet === "chorus") return 0;
+    return Math.floor(random() * ((PREVIEW_LENGTH_MS - 10_000) / 1000));
+  }
+
+  const lengthSec = lengthMs > 0 ? lengthMs / 1000 : 0;
+  if (!lengthSec) {
+    // Unknown length: stay inside the first minute, which almost every song has
+    return snippet === "chorus" ? 45 : 15 + Math.floor(random() * 45);
+  }
+
+  if (snippet === "chorus") return Math.floor(lengthSec * 0.3);
+  // Random point between 10% and 70% of the track
+  return Math.floor(lengthSec * (0.1 + random() * 0.6));
+}
+
+export function getIntroEndAt(startAt, stage) {
+  const clip = INTRO_CLIPS[stage];
+  return clip ? startAt + clip : null;
+}
+
+export function getIntroMultiplier(stage) {
+  if (stage == null) return 1;
+  const idx = Math.min(stage, INTRO_MULTIPLIERS.length - 1);
+  return INTRO_MULTIPLIERS[idx];
+}
@@ -1,4 +1,5 @@
 import axios from "axios";
+import { playlistCache } from "./cache.js";
 
 let cachedToken = null;
 let tokenExpiresAt = 0;
@@ -24,70 +25,230 @@ export async function getSpotifyToken(clientId, clientSecret) {
   return cachedToken;
 }
 
-export function parseSpotifyPlaylistId(url) {
-  // Accepts formats like:
-  // https://open.spotify.com/playlist/{id}
-  // spotify:playlist:{id}
-  const m1 = url.match(/open\.spotify\.com\/playlist\/([a-zA-Z0-9]+)(\?|$)/);
-  if (m1) return m1[1];
-  const m2 = url.match(/spotify:playlist:([a-zA-Z0-9]+)/);
-  if (m2) return m2[1];
+// Artist links: top tracks plus tracks from this many random releases
+const DISCOGRAPHY_SAMPLE = 8;
+// Client-credentials tokens have no user country, top tracks need one
+const MARKET = "US";
+// Top tracks and the release list change slowly, albums and tracks never
+const ARTIST_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Accepts formats like:
+ * https://open.spotify.com/{type}/{id}
+ * https://open.spotify.com/intl-pl/{type}/{id} (localised links)
+ * https://open.spotify.com/embed/{type}/{id}
+ * spotify:{type}:{id}
+ * where type is playlist, album, artist or track.
+ */
+export function parseSpotifyLink(url) {
+  const m1 = (url || "").match(
+    /open\.spotify\.com\/(?:intl-[a-z]{2}(?:-[a-z]{2})?\/)?(?:embed\/)?(playlist|album|artist|track)\/([a-zA-Z0-9]+)(\?|\/|#|$)/i,
+  );
+  if (m1) return { type: m1[1].toLowerCase(), id: m1[2] };
+  const m2 = (url || "").match(
+    /spotify:(playlist|album|artist|track):([a-zA-Z0-9]+)/,
+  );
+  if (m2) return { type: m2[1], id: m2[2] };
   return null;
 }
 
-export async function fetchSpotifyPlaylistTracks({
-  url,
-  clientId,
-  clientSecret,
-}) {
-  const id = parseSpotifyPlaylistId(url);
-  if (!id) throw new Error("Nieprawidłowy link do playlisty Spotify.");
+async function spotifyGet(url, token, params) {
+  const resp = await axios.get(url, {
+    headers: { Authorization: `Bearer ${token}` },
+    params,
+  });
+  return resp.data;
+}
 
-  const token = await getSpotifyToken(clientId, clientSecret);
+// Follows `next` links of a paged Spotify response
+async function fetchAllPages(first, token) {
+  let items = [];
+  let next = first;
+  while (next) {
+    const data = await spotifyGet(next, token);
+    items = items.concat(data.items || []);
+    next = data.next;
+  }
+  return items;
+}
 
-  // Fetch playlist info (for name)
-  const playlistResp = await axios.get(
+// album is passed for album track lists, whose items don't carry it
+function normalizeTrack(t, album = t.album) {
+  const artists = (t.artists || []).map((a) => a.name).filter(Boolean);
+  return {
+    id: t.id,
+    title: t.name,
+    artist: artists.join(", "),
+    // Each artist of a collaboration is an answer on their own
+    ...(artists.length > 1 && { artistAliases: artists }),
+    previewUrl: t.preview_url || null,
+    durationMs: t.duration_ms || null,
+    cover:
+      (album && album.images && album.images[0] && album.images[0].url) || null,
+    // release_date is "1975-10-31", "1975-10" or just "1975"
+    year: Number.parseInt(album?.release_date, 10) || null,
+    source: "spotify",
+  };
+}
+
+function albumName(album) {
+  const artist = (album.artists || []).map((a) => a.name).join(", ");
+  return artist ? `${artist} - ${album.name}` : album.name || "Spotify Album";
+}
+
+async function fetchPlaylist(id, token) {
+  // Fetch playlist info (for name); snapshot_id changes with every edit
+  const info = await spotifyGet(
     `https://api.spotify.com/v1/playlists/${id}`,
-    {
-      headers: { Authorization: `Bearer ${token}` },
-      params: { fields: "name" },
+    token,
+    { fields: "name,snapshot_id" },
+  );
+  const tracks = await playlistCache.getOrLoad(
+    `spotify:playlist:${id}`,
+    async () => {
+      const items = await fetchAllPages(
+        `https://api.spotify.com/v1/playlists/${id}/tracks?limit=100`,
+        token,
+      );
+      return items
+        .map((it) => it.track)
+        .filter(Boolean)
+        .map((t) => normalizeTrack(t));
     },
+    { version: info.snapshot_id },
   );
-  const playlistName = playlistResp.data.name || "Spotify Playlist";
+  return { name: info.name || "Spotify Playlist", tracks };
+}
 
-  // Fetch in pages
-  let items = [];
-  let next = `https://api.spotify.com/v1/playlists/${id}/tracks?limit=100`;
-  while (next) {
-    const resp = await axios.get(next, {
-      headers: { Authorization: `Bearer ${token}` },
+function fetchAlbum(id, token) {
+  return playlistCache.getOrLoad(`spotify:album:${id}`, async () => {
+    const album = await spotifyGet(
+      `https://api.spotify.com/v1/albums/${id}`,
+      token,
+    );
+    let items = album.tracks?.items || [];
+    if (album.tracks?.next) {
+      items = items.concat(await fetchAllPages(album.tracks.next, token));
+    }
+    return {
+      name: albumName(album),
+      tracks: items.map((t) => normalizeTrack(t, album)),
+    };
+  });
+}
+
+async function fetchArtist(id, token) {
+  const { name, top, releases } = await playlistCache.getOrLoad(
+    `spotify:artist:${id}`,
+    async () => {
+      const artist = await spotifyGet(
+        `https://api.spotify.com/v1/artists/${id}`,
+        token,
+      );
+      const top = await spotifyGet(
+        `https://api.spotify.com/v1/artists/${id}/top-tracks`,
+        token,
+        { market: MARKET },
+      );
+      const releases = await fetchAllPages(
+        `https://api.spotify.com/v1/artists/${id}/albums?include_groups=album,single&limit=50&market=${MARKET}`,
+        token,
+      );
+      return {
+        name: artist.name || "Spotify Artist",
+        top: (top.tracks || []).map((t) => normalizeTrack(t)),
+        releases: releases.map((r) => r.id),
+      };
+    },
+    { ttl: ARTIST_CACHE_TTL_MS },
+  );
+
+  // Sample the discography so the game isn't only the greatest hits
+  const sampled = releases
+    .map((r) => ({ r, k: Math.random() }))
+    .sort((a, b) => a.k - b.k)
+    .slice(0, DISCOGRAPHY_SAMPLE)
+    .map(({ r }) => r);
+
+  let albumTracks = [];
+  const missing = [];
+  for (const albumId of sampled) {
+    const cached = await playlistCache.get(`spotify:album:${albumId}`);
+    if (cached) albumTracks = albumTracks.concat(cached.tracks);
+    else missing.push(albumId);
+  }
+  // The several-albums endpoint takes up to 20 ids
+  for (let i = 0; i < missing.length; i += 20) {
+    const data = await spotifyGet("https://api.spotify.com/v1/albums", token, {
+      ids: missing.slice(i, i + 20).join(","),
+      market: MARKET,
     });
-    items = items.concat(resp.data.items || []);
-    next = resp.data.next;
+    for (const album of data.albums || []) {
+      if (!album) continue;
+      const tracks = (album.tracks?.items || []).map((t) =>
+        normalizeTrack(t, album),
+      );
+      albumTracks = albumTracks.concat(tracks);
+      // Only complete track lists can stand in for fetchAlbum
+      if (!album.tracks?.next) {
+        await playlistCache.set(`spotify:album:${album.id}`, {
+          name: albumName(album),
+          tracks,
+        });
+      }
+    }
   }
 
-  // Normalize results; use preview_url when available
-  const tracks = items
-    .map((it) => it.track)
-    .filter(Boolean)
-    .map((t) => ({
-      id: t.id,
-      title: t.name,
-      artist: (t.artists && t.artists.map((a) => a.name).join(", ")) || "",
-      previewUrl: t.preview_url || null,
-      cover:
-        (t.album &&
-          t.album.images &&
-          t.album.images[0] &&
-          t.album.images[0].url) ||
-        null,
-      source: "spotify",
-    }));
+  // Same song often sits on an album and a single: keep the first one
+  const seen = new Set();
+  const tracks = [...top, ...albumTracks].filter((t) => {
+    const key = t.title.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  return { name, tracks };
+}
+
+function fetchTrack(id, token) {
+  return playlistCache.getOrLoad(`spotify:track:${id}`, async () => {
+    const t = await spotifyGet(
+      `https://api.spotify.com/v1/tracks/${id}`,
+      token,
+    );
+    const track = normalizeTrack(t);
+    return { name: `${track.artist} - ${track.title}`, tracks: [track] };
+  });
+}
+
+const FETCHERS = {
+  playlist: fetchPlaylist,
+  album: fetchAlbum,
+  artist: fetchArtist,
+  track: fetchTrack,
+};
+
+/**
+ * Loads any supported Spotify link (playlist, album, artist, track) into
+ * the same { source, playlistName, tracks } shape.
+ */
+export async function fetchSpotifyPlaylistTracks({
+  url,
+  clientId,
+  clientSecret,
+}) {
+  const link = parseSpotifyLink(url);
+  if (!link) throw new Error("Nieprawidłowy link Spotify.");
+
+  const token = await getSpotifyToken(clientId, clientSecret);
+  const { name, tracks } = await FETCHERS[link.type](link.id, token);
 
   return {
     source: "spotify",
-    playlistId: id,
-    playlistName,
+    linkType: link.type,
+    playlistId: link.id,
+    playlistName: name,
     total: tracks.length,
     playable: tracks.filter((t) => !!t.previewUrl).length,
     tracks,
@@ -0,0 +1,83 @@
+// Keyed job queue with bounded concurrency and retries. Used to resolve
+// Spotify tracks to YouTube videos without blocking playlist loading.
+
+/**
+ * `run(key, task, { priority })` queues `task` (an async function) unless a
+ * job with the same key is already waiting or running, in which case its
+ * promise is shared. Priority jobs go to the front of the queue; asking for
+ * a waiting job with priority moves it there too. A task that throws is
+ * retried `retries` times with a growing delay, then its promise rejects.
+ */
+export function createTaskQueue({
+  concurrency = 3,
+  retries = 2,
+  retryDelayMs = 1000,
+} = {}) {
+  const waiting = [];
+  const jobs = new Map(); // key -> waiting or running job
+  let running = 0;
+  const stats = { done: 0, failed: 0, retried: 0 };
+
+  function next() {
+    while (running < concurrency && waiting.length) {
+      start(waiting.shift());
+    }
+  }
+
+  function start(job) {
+    running++;
+    job.task().then(
+      (value) => {
+        running--;
+        jobs.delete(job.key);
+        stats.done++;
+        job.resolve(value);
+        next();
+      },
+      (err) => {
+        running--;
+        if (job.attempts < retries) {
+          job.attempts++;
+          stats.retried++;
+          setTimeout(() => {
+            waiting.push(job);
+            next();
+          }, retryDelayMs * job.attempts);
+        } else {
+          jobs.delete(job.key);
+          stats.failed++;
+          job.reject(err);
+        }
+        next();
+      },
+    );
+  }
+
+  function run(key, task, { priority = false } = {}) {
+    const existing = jobs.get(key);
+    if (existing) {
+      const i = waiting.indexOf(existing);
+      if (priority && i > 0) {
+        waiting.splice(i, 1);
+        waiting.unshift(existing);
+      }
+      return existing.promise;
+    }
+
+    const job = { key, task, attempts: 0 };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    jobs.set(key, job);
+    if (priority) waiting.unshift(job);
+    else waiting.push(job);
+    next();
+    return job.promise;
+  }
+
+  return {
+    run,
+    stats: () => ({ ...stats, running, waiting: waiting.length }),
+  };
+}
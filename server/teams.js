@@ -0,0 +1,45 @@
+import { nanoid } from "nanoid";
+
+export const MAX_TEAMS = 8;
+
+export function findTeam(room, teamId) {
+  if (!teamId) return null;
+  return (room.teams || []).find((t) => t.id === teamId) || null;
+}
+
+export function createTeam(room, name) {
+  const teamName = (name || "").trim().slice(0, 32);
+  if (!teamName) return { error: "Team name required." };
+  if (!room.teams) room.teams = [];
+  if (room.teams.length >= MAX_TEAMS)
+    return { error: `A room can have at most ${MAX_TEAMS} teams.` };
+  if (room.teams.some((t) => t.name.toLowerCase() === teamName.toLowerCase()))
+    return { error: "Team name already taken." };
+
+  const team = { id: nanoid(6), name: teamName, score: 0 };
+  room.teams.push(team);
+  return { team };
+}
+
+export function deleteTeam(room, teamId) {
+  if (!findTeam(room, teamId)) return false;
+  room.teams = room.teams.filter((t) => t.id !== teamId);
+  for (const u of room.users.values()) {
+    if (u.teamId === teamId) u.teamId = null;
+  }
+  return true;
+}
+
+// Teams sorted by score, with the names of their current members
+export function getTeamStandings(room) {
+  if (!room.teams?.length) return [];
+  const users = [...room.users.values()];
+  return room.teams
+    .map((t) => ({
+      id: t.id,
+      name: t.name,
+      score: t.score,
+      members: users.filter((u) => u.teamId === t.id).map((u) => u.name),
+    }))
+    .sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { deriveTitleAliases, getAnswerAliases } from "../aliases.js";
+
+test("bracketed translations and other titles are aliases", () => {
+  assert.deepEqual(deriveTitleAliases("Żółta (Yellow)"), ["Yellow", "Żółta"]);
+  assert.deepEqual(deriveTitleAliases("Nas Ne Dogonyat (Not Gonna Get Us)"), [
+    "Not Gonna Get Us",
+    "Nas Ne Dogonyat",
+  ]);
+});
+
+test("version and section notes are not aliases", () => {
+  for (const title of [
+    "Another Brick in the Wall (Part 2)",
+    "Another Brick in the Wall (Part Two)",
+    "Another Brick in the Wall (Pt. II)",
+    "Another Brick in the Wall (Vol. 1)",
+    "Another Brick in the Wall (Reprise)",
+    "Another Brick in the Wall (Intro)",
+    "Another Brick in the Wall (Outro)",
+    "Another Brick in the Wall (2)",
+    "Another Brick in the Wall (Remastered 2011)",
+  ]) {
+    assert.deepEqual(deriveTitleAliases(title), ["Another Brick in the Wall"]);
+  }
+});
+
+test("single words beside a longer title are not aliases", () => {
+  assert.deepEqual(deriveTitleAliases("Song Title Here (Unplugged)"), [
+    "Song Title Here",
+  ]);
+});
+
+test("answer aliases skip the title itself", () => {
+  const { title } = getAnswerAliases({ title: "Sen o Warszawie", artist: "" });
+  assert.deepEqual(title, []);
+});
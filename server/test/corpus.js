@@ -0,0 +1,75 @@
+import { readFileSync } from "node:fs";
+import { getAnswerAliases } from "../aliases.js";
+import { MATCH_PROFILES, matchTextGuess } from "../utils.js";
+import { parseYouTubeTitle } from "../youtube-title.js";
+
+const CORPUS_URL = new URL("./fixtures/matching-corpus.json", import.meta.url);
+
+// Turns a corpus case into the answer a round would have
+function toAnswer(c) {
+  const track =
+    c.source === "youtube" ? parseYouTubeTitle(c.videoTitle, c.channel) : c;
+  return {
+    title: track.title,
+    artist: track.artist,
+    aliases: getAnswerAliases(track),
+  };
+}
+
+export function loadCorpus() {
+  const { cases } = JSON.parse(readFileSync(CORPUS_URL, "utf8"));
+  return cases.map((c) => ({ ...c, answer: toAnswer(c) }));
+}
+
+// Whether a text-mode guess counts as the title
+export function acceptsTitle(answer, guess, profile) {
+  return matchTextGuess(
+    { text: guess },
+    answer.artist,
+    answer.title,
+    answer.aliases,
+    { profile },
+  ).titleCorrect;
+}
+
+/**
+ * Runs every labelled guess through one profile. Guesses labelled correct
+ * and accepted are true positives, guesses labelled wrong and accepted
+ * false positives. `misses` lists the guesses judged against their label.
+ */
+export function evaluateProfile(corpus, profile) {
+  let tp = 0;
+  let fp = 0;
+  let fn = 0;
+  let tn = 0;
+  const misses = [];
+  for (const { answer, correct, wrong } of corpus) {
+    for (const guess of correct) {
+      if (acceptsTitle(answer, guess, profile)) tp++;
+      else {
+        fn++;
+        misses.push({ answer, guess, expected: true });
+      }
+    }
+    for (const guess of wrong) {
+      if (acceptsTitle(answer, guess, profile)) {
+        fp++;
+        misses.push({ answer, guess, expected: false });
+      } else tn++;
+    }
+  }
+  return {
+    profile,
+    tp,
+    fp,
+    fn,
+    tn,
+    precision: tp + fp ? tp / (tp + fp) : 1,
+    recall: tp + fn ? tp / (tp + fn) : 1,
+    misses,
+  };
+}
+
+export function evaluateAll(corpus = loadCorpus()) {
+  return Object.keys(MATCH_PROFILES).map((p) => evaluateProfile(corpus, p));
+}
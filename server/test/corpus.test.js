@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { evaluateProfile, loadCorpus } from "./corpus.js";
+
+const corpus = loadCorpus();
+
+const describeMisses = (misses) =>
+  misses
+    .map(
+      ({ answer, guess, expected }) =>
+        `${expected ? "rejected" : "accepted"} "${guess}" for "${answer.title}"`,
+    )
+    .join("\n");
+
+test("normal profile judges every corpus guess as labelled", () => {
+  const { misses } = evaluateProfile(corpus, "normal");
+  assert.deepEqual(misses, [], describeMisses(misses));
+});
+
+test("strict profile accepts no wrong guess", () => {
+  const { fp, misses } = evaluateProfile(corpus, "strict");
+  assert.equal(fp, 0, describeMisses(misses.filter((m) => !m.expected)));
+});
+
+test("lenient profile rejects no correct guess", () => {
+  const { fn, misses } = evaluateProfile(corpus, "lenient");
+  assert.equal(fn, 0, describeMisses(misses.filter((m) => m.expected)));
+});
+
+test("stricter profiles never gain recall", () => {
+  const [lenient, normal, strict] = ["lenient", "normal", "strict"].map((p) =>
+    evaluateProfile(corpus, p),
+  );
+  assert.ok(lenient.recall >= normal.recall);
+  assert.ok(normal.recall >= strict.recall);
+  assert.ok(strict.precision >= lenient.precision);
+});
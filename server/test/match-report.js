@@ -0,0 +1,31 @@
+// Precision and recall of answer matching per profile, over the corpus in
+// fixtures/matching-corpus.json. Run with `npm run match-report`;
+// `--misses` also lists every guess judged against its label.
+import { evaluateAll } from "./corpus.js";
+
+const showMisses = process.argv.includes("--misses");
+const pct = (x) => `${(x * 100).toFixed(1)}%`;
+
+const results = evaluateAll();
+console.table(
+  results.map(({ profile, tp, fp, fn, tn, precision, recall }) => ({
+    profile,
+    tp,
+    fp,
+    fn,
+    tn,
+    precision: pct(precision),
+    recall: pct(recall),
+  })),
+);
+
+if (showMisses) {
+  for (const { profile, misses } of results) {
+    for (const { answer, guess, expected } of misses) {
+      const verdict = expected ? "rejected" : "accepted";
+      console.log(
+        `${profile}: ${verdict} "${guess}" for "${answer.artist} - ${answer.title}"`,
+      );
+    }
+  }
+}
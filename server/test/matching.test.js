@@ -0,0 +1,205 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  getDetailedMatch,
+  getGuessFeedback,
+  gradeMatch,
+  isGuessCorrect,
+  matchTextGuess,
+  normalizeMatchProfile,
+  splitGuess,
+} from "../utils.js";
+
+test("gradeMatch grades correct, close and wrong guesses", () => {
+  assert.deepEqual(gradeMatch("hello", "hello"), {
+    verdict: "correct",
+    score: 1,
+  });
+  assert.equal(
+    gradeMatch("bohemian rapsody", "bohemian rhapsody").verdict,
+    "correct",
+  );
+  assert.equal(
+    gradeMatch("bohemian", "bohemian rhapsody", "strict").verdict,
+    "close",
+  );
+  assert.equal(gradeMatch("thriller", "billie jean").verdict, "wrong");
+});
+
+test("gradeMatch needs more than one letter and enough of the answer", () => {
+  assert.equal(gradeMatch("b", "bohemian rhapsody").verdict, "wrong");
+  assert.notEqual(gradeMatch("you", "shape of you").verdict, "correct");
+  assert.equal(gradeMatch("a", "a").verdict, "correct");
+});
+
+test("unknown profiles fall back to normal", () => {
+  assert.equal(normalizeMatchProfile("strict"), "strict");
+  assert.equal(normalizeMatchProfile("bogus"), "normal");
+  assert.equal(normalizeMatchProfile(undefined), "normal");
+});
+
+test("isGuessCorrect accepts the title, the artist and aliases", () => {
+  assert.ok(isGuessCorrect("bohemian rhapsody", "Bohemian Rhapsody", "Queen"));
+  assert.ok(isGuessCorrect("queen", "Bohemian Rhapsody", "Queen"));
+  assert.ok(
+    isGuessCorrect("yellow", "Żółta", "Quebonafide", { title: ["Yellow"] }),
+  );
+  assert.ok(!isGuessCorrect("b", "Bohemian Rhapsody", "Queen"));
+  assert.ok(!isGuessCorrect("thriller", "Billie Jean", "Michael Jackson"));
+});
+
+test("isGuessCorrect follows the profile", () => {
+  const guess = ["bohemian", "Bohemian Rhapsody", "Queen", {}];
+  assert.ok(isGuessCorrect(...guess, { profile: "normal" }));
+  assert.ok(!isGuessCorrect(...guess, { profile: "strict" }));
+});
+
+test("getDetailedMatch judges artist and title separately", () => {
+  assert.deepEqual(
+    getDetailedMatch("Queen", "Bohemian Rapsody", "Queen", "Bohemian Rhapsody"),
+    {
+      artistCorrect: true,
+      titleCorrect: true,
+      artistClose: false,
+      titleClose: false,
+    },
+  );
+  const wrongTitle = getDetailedMatch(
+    "Queen",
+    "Thriller",
+    "Queen",
+    "Bohemian Rhapsody",
+  );
+  assert.equal(wrongTitle.artistCorrect, true);
+  assert.equal(wrongTitle.titleCorrect, false);
+});
+
+test("getDetailedMatch accepts swapped fields and YouTube-style titles", () => {
+  const swapped = getDetailedMatch(
+    "Bohemian Rhapsody",
+    "Queen",
+    "Queen",
+    "Bohemian Rhapsody",
+  );
+  assert.ok(swapped.artistCorrect && swapped.titleCorrect);
+  const youtube = getDetailedMatch(
+    "Taco Hemingway",
+    "Deszcz na betonie",
+    "Taco Hemingway",
+    "Taco Hemingway - Deszcz na betonie",
+  );
+  assert.ok(youtube.artistCorrect && youtube.titleCorrect);
+});
+
+test("getDetailedMatch accepts aliases and reports close parts", () => {
+  const aliases = { title: ["Yellow"], artist: ["Que"] };
+  const match = getDetailedMatch(
+    "Que",
+    "Yellow",
+    "Quebonafide",
+    "Żółta",
+    aliases,
+  );
+  assert.ok(match.artistCorrect && match.titleCorrect);
+  const close = getDetailedMatch(
+    "",
+    "bohemian",
+    "Queen",
+    "Bohemian Rhapsody",
+    {},
+    { profile: "strict" },
+  );
+  assert.equal(close.titleCorrect, false);
+  assert.equal(close.titleClose, true);
+});
+
+test("matchTextGuess splits 'Artist - Title' guesses", () => {
+  const match = matchTextGuess(
+    { text: "Queen - Bohemian Rhapsody" },
+    "Queen",
+    "Bohemian Rhapsody",
+  );
+  assert.equal(match.artistCorrect, true);
+  assert.equal(match.titleCorrect, true);
+  assert.equal(match.result, "correct");
+});
+
+test("matchTextGuess does not count the artist as the title", () => {
+  const match = matchTextGuess(
+    { text: "taco hemingway" },
+    "Taco Hemingway",
+    "Taco Hemingway - Deszcz na betonie",
+  );
+  assert.equal(match.artistCorrect, true);
+  assert.equal(match.titleCorrect, false);
+});
+
+test("matchTextGuess reports close guesses without the answer", () => {
+  const match = matchTextGuess(
+    { text: "bohemian" },
+    "Queen",
+    "Bohemian Rhapsody",
+    {},
+    { profile: "strict" },
+  );
+  assert.equal(match.result, "close");
+  assert.equal(match.titleClose, true);
+  assert.ok(match.score > 0 && match.score < 1);
+  assert.ok(!JSON.stringify(match).toLowerCase().includes("rhapsody"));
+});
+
+test("version notes after a dash are not answers on their own", () => {
+  const remix = (text) =>
+    matchTextGuess({ text }, "Luis Fonsi", "Despacito - Remix").titleCorrect;
+  assert.equal(remix("despacito"), true);
+  assert.equal(remix("remix"), false);
+  // A year is a title, unless a version word comes with it
+  const year = (title, text) =>
+    matchTextGuess({ text }, "", title).titleCorrect;
+  assert.equal(year("Prince - 1999", "1999"), true);
+  assert.equal(year("1999 - 2019 Remaster", "1999"), true);
+  assert.equal(year("1999 - 2019 Remaster", "2019 remaster"), false);
+});
+
+test("splitGuess keeps the whole text next to the split readings", () => {
+  assert.deepEqual(splitGuess("Stand by Me"), [
+    { artist: "Stand", title: "Me" },
+    { artist: "Me", title: "Stand" },
+    { artist: "Stand by Me", title: "Stand by Me" },
+  ]);
+  assert.deepEqual(splitGuess("Thriller"), [
+    { artist: "Thriller", title: "Thriller" },
+  ]);
+});
+
+test("titles with a separator inside still match", () => {
+  const standByMe = matchTextGuess(
+    { text: "stand by me" },
+    "Ben E. King",
+    "Stand by Me",
+  );
+  assert.equal(standByMe.titleCorrect, true);
+  const byArtist = matchTextGuess(
+    { text: "stand by me by ben e king" },
+    "Ben E. King",
+    "Stand by Me",
+  );
+  assert.equal(byArtist.titleCorrect, true);
+});
+
+test("guess feedback leaves out the score and the split guess", () => {
+  const match = matchTextGuess(
+    { text: "bohemian" },
+    "Queen",
+    "Bohemian Rhapsody",
+    {},
+    { profile: "strict" },
+  );
+  assert.deepEqual(getGuessFeedback(match), {
+    artistCorrect: false,
+    titleCorrect: false,
+    artistClose: false,
+    titleClose: true,
+    result: "close",
+  });
+});
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { foldText, normalize } from "../utils.js";
+
+test("drops upload junk, brackets and punctuation", () => {
+  assert.equal(
+    normalize("Bohemian Rhapsody (Official Video)"),
+    "bohemian rhapsody",
+  );
+  assert.equal(normalize("Lose Yourself [HD]"), "lose yourself");
+  assert.equal(normalize("Hips Don't Lie"), "hips don t lie");
+  assert.equal(normalize("Song feat. Someone"), "song someone");
+});
+
+test("folds accents and letters without a decomposed form", () => {
+  assert.equal(normalize("Żółta"), "zolta");
+  assert.equal(normalize("Łzy"), "lzy");
+  assert.equal(
+    normalize("Kocham Cię, kochanie moje"),
+    "kocham cie kochanie moje",
+  );
+  assert.equal(foldText("Øresund Straße"), "oresund strasse");
+});
+
+test("transliterates Cyrillic unless told not to", () => {
+  assert.equal(normalize("Тату"), "tatu");
+  assert.equal(normalize("Нас не догонят"), "nas ne dogonyat");
+  assert.equal(normalize("Тату", { transliterate: true }), "tatu");
+  assert.equal(normalize("Тату", { transliterate: false }), "тату");
+  assert.equal(foldText("Ёлка", { transliterate: false }), "елка");
+});
+
+test("turns number words into digits", () => {
+  assert.equal(normalize("Seven Years"), "7 years");
+  assert.equal(normalize("twenty one pilots"), "21 pilots");
+  assert.equal(normalize("dwadzieścia jeden"), "21");
+});
+
+test("drops conjunctions and a leading 'the'", () => {
+  assert.equal(normalize("The Beatles"), "beatles");
+  assert.equal(normalize("Simon & Garfunkel"), normalize("Simon i Garfunkel"));
+  assert.equal(normalize("Ty i ja"), "ty ja");
+});
+
+test("keeps 'i' and 'y' at the start or end of a title", () => {
+  assert.equal(normalize("I Want You"), "i want you");
+  assert.equal(normalize("Y Tu Mamá También"), "y tu mama tambien");
+  assert.equal(normalize("Ja i ty i"), "ja ty i");
+});
+
+test("keeps words that would otherwise leave nothing", () => {
+  assert.equal(normalize("The The"), "the");
+  assert.equal(normalize("And"), "and");
+  assert.equal(normalize(""), "");
+});
@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyRoundLosses } from "../elimination.js";
+import {
+  findPlayer,
+  getPlayerKey,
+  hasSolved,
+  sanitizeGuestId,
+} from "../players.js";
+import { getTiedLeaders, isRoundPlayer } from "../tiebreak.js";
+
+const guest = (guestId, extra = {}) => ({
+  name: "Gracz",
+  score: 0,
+  guestId,
+  ...extra,
+});
+
+test("players are keyed by uid, then guest id, never by name", () => {
+  assert.equal(getPlayerKey({ uid: "u1", guestId: "g-123456" }), "uid:u1");
+  assert.equal(getPlayerKey(guest("g-123456")), "guest:g-123456");
+  assert.equal(getPlayerKey({ name: "Gracz" }), null);
+  assert.equal(sanitizeGuestId("short"), null);
+  assert.equal(sanitizeGuestId({}), null);
+});
+
+test("guests with the same name are different solvers", () => {
+  const a = guest("guest-aaaaaaaa");
+  const b = guest("guest-bbbbbbbb");
+  const r = { solvers: [{ sid: "s1", key: getPlayerKey(a), name: "Gracz" }] };
+  assert.ok(hasSolved(r, "s1", a));
+  // Reconnected with a new socket
+  assert.ok(hasSolved(r, "s9", a));
+  assert.ok(!hasSolved(r, "s2", b));
+  assert.ok(!hasSolved(r, "s3", { name: "Gracz" }));
+});
+
+test("findPlayer prefers the socket id and falls back to the key", () => {
+  const room = {
+    users: new Map([
+      ["s1", guest("guest-aaaaaaaa")],
+      ["s2", guest("guest-bbbbbbbb")],
+    ]),
+  };
+  assert.equal(findPlayer(room, { sid: "s2" })[0], "s2");
+  assert.equal(findPlayer(room, { key: "guest:guest-aaaaaaaa" })[0], "s1");
+  assert.equal(findPlayer(room, { sid: "gone", key: null }), null);
+});
+
+test("elimination doesn't spare a guest who shares a solver's name", () => {
+  const a = guest("guest-aaaaaaaa", { lives: 2 });
+  const b = guest("guest-bbbbbbbb", { lives: 2 });
+  const room = {
+    users: new Map([
+      ["s1", a],
+      ["s2", b],
+    ]),
+    currentRound: {
+      solvers: [{ sid: "s1", key: getPlayerKey(a), name: "Gracz" }],
+    },
+  };
+  const { lostLife } = applyRoundLosses(room);
+  assert.deepEqual(
+    lostLife.map((l) => l.sid),
+    ["s2"],
+  );
+});
+
+test("a tied leader who reconnects still plays sudden death", () => {
+  const a = guest("guest-aaaaaaaa", { score: 20 });
+  const b = guest("guest-bbbbbbbb", { score: 20 });
+  const c = guest("guest-cccccccc", { score: 5 });
+  const room = {
+    users: new Map([
+      ["s1", a],
+      ["s2", b],
+      ["s3", c],
+    ]),
+  };
+  const round = { tiebreak: getTiedLeaders(room) };
+  assert.ok(isRoundPlayer(round, "s9", a));
+  assert.ok(!isRoundPlayer(round, "s3", c));
+  // Without a key only the same socket counts
+  const legacy = { tiebreak: ["s4"] };
+  assert.ok(isRoundPlayer(legacy, "s4", { name: "Gracz" }));
+  assert.ok(!isRoundPlayer(legacy, "s5", { name: "Gracz" }));
+});
+
+test("a round nobody solves costs every player a life", () => {
+  const a = guest("guest-aaaaaaaa", { lives: 1 });
+  const b = guest("guest-bbbbbbbb", { lives: 2 });
+  const room = {
+    gameType: "elimination",
+    users: new Map([
+      ["s1", a],
+      ["s2", b],
+    ]),
+    currentRound: { solvers: [] },
+  };
+  const { lostLife, eliminated } = applyRoundLosses(room);
+  assert.deepEqual(
+    lostLife.map((l) => [l.sid, l.lives]),
+    [
+      ["s1", 0],
+      ["s2", 1],
+    ],
+  );
+  assert.deepEqual(
+    eliminated.map((e) => e.sid),
+    ["s1"],
+  );
+});
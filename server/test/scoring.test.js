@@ -0,0 +1,19 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { calculateGuessPoints, rescoreAtPosition } from "../scoring.js";
+
+const answer = {
+  artistCorrect: true,
+  titleCorrect: true,
+  elapsedMs: 5_000,
+  durationMs: 20_000,
+  scoring: "speed",
+  hintLevel: 1,
+};
+
+test("a solver moved to another position scores as if they finished there", () => {
+  const first = calculateGuessPoints({ ...answer, position: 1 });
+  const second = calculateGuessPoints({ ...answer, position: 2 });
+  assert.deepEqual(rescoreAtPosition(first, 2), second);
+  assert.deepEqual(rescoreAtPosition(second, 1), first);
+});
@@ -0,0 +1,43 @@
+// Sudden death: extra rounds for players tied for first place at game over.
+// Tied players are kept by their player key (see players.js), so one who
+// reconnects with a new socket still plays; players without a key fall
+// back to their socket id.
+
+import { getPlayerKey } from "./players.js";
+
+// Playable tracks kept aside from the playlist for tiebreak rounds
+export const TIEBREAK_RESERVE = 5;
+
+export function sanitizeExtraTracks(tracks) {
+  if (!Array.isArray(tracks)) return [];
+  return tracks
+    .filter((t) => t && typeof t.title === "string" && t.title.trim())
+    .slice(0, TIEBREAK_RESERVE);
+}
+
+const tiebreakId = (sid, player) => getPlayerKey(player) || sid;
+
+// Keys of the connected players sharing the top score, empty without a tie
+export function getTiedLeaders(room) {
+  const players = [...room.users.entries()].filter(
+    ([sid]) => !sid.startsWith("pending-"),
+  );
+  if (players.length < 2) return [];
+  const top = Math.max(...players.map(([, u]) => u.score));
+  const tied = players
+    .filter(([, u]) => u.score === top)
+    .map(([sid, u]) => tiebreakId(sid, u));
+  return tied.length > 1 ? tied : [];
+}
+
+// Outside a tiebreak round everyone plays
+export function isRoundPlayer(round, sid, player) {
+  return !round?.tiebreak || round.tiebreak.includes(tiebreakId(sid, player));
+}
+
+// [socketId, user] of the tied players in the room right now
+export function getTiebreakPlayers(room, tiebreak) {
+  return [...room.users.entries()].filter(([sid, u]) =>
+    tiebreak.includes(tiebreakId(sid, u)),
+  );
+}
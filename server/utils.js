@@ -1,73 +1,407 @@
 import stringSimilarity from "string-similarity";
+import { isVersionNote } from "./aliases.js";
 
-export function normalize(str) {
+// Letters without a decomposed form, so NFD folding can't reach them
+const SPECIAL_LETTERS = {
+  ł: "l",
+  đ: "d",
+  ø: "o",
+  ß: "ss",
+  æ: "ae",
+  œ: "oe",
+  þ: "th",
+  ı: "i",
+};
+
+// Cyrillic to Latin, one common romanisation (Russian/Ukrainian letters)
+const CYRILLIC = {
+  а: "a",
+  б: "b",
+  в: "v",
+  г: "g",
+  ґ: "g",
+  д: "d",
+  е: "e",
+  ё: "e",
+  є: "ye",
+  ж: "zh",
+  з: "z",
+  и: "i",
+  і: "i",
+  ї: "yi",
+  й: "y",
+  к: "k",
+  л: "l",
+  м: "m",
+  н: "n",
+  о: "o",
+  п: "p",
+  р: "r",
+  с: "s",
+  т: "t",
+  у: "u",
+  ф: "f",
+  х: "kh",
+  ц: "ts",
+  ч: "ch",
+  ш: "sh",
+  щ: "shch",
+  ъ: "",
+  ы: "y",
+  ь: "",
+  э: "e",
+  ю: "yu",
+  я: "ya",
+};
+
+// Number words (accents already folded) -> digits, English and Polish
+const NUMBER_WORDS = {
+  zero: 0,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  eleven: 11,
+  twelve: 12,
+  thirteen: 13,
+  fourteen: 14,
+  fifteen: 15,
+  sixteen: 16,
+  seventeen: 17,
+  eighteen: 18,
+  nineteen: 19,
+  twenty: 20,
+  thirty: 30,
+  forty: 40,
+  fifty: 50,
+  sixty: 60,
+  seventy: 70,
+  eighty: 80,
+  ninety: 90,
+  hundred: 100,
+  jeden: 1,
+  jedna: 1,
+  jedno: 1,
+  dwa: 2,
+  dwie: 2,
+  dwoch: 2,
+  trzy: 3,
+  trzech: 3,
+  cztery: 4,
+  czterech: 4,
+  piec: 5,
+  szesc: 6,
+  siedem: 7,
+  osiem: 8,
+  dziewiec: 9,
+  dziesiec: 10,
+  jedenascie: 11,
+  dwanascie: 12,
+  trzynascie: 13,
+  czternascie: 14,
+  pietnascie: 15,
+  szesnascie: 16,
+  siedemnascie: 17,
+  osiemnascie: 18,
+  dziewietnascie: 19,
+  dwadziescia: 20,
+  trzydziesci: 30,
+  czterdziesci: 40,
+  piecdziesiat: 50,
+  szescdziesiat: 60,
+  siedemdziesiat: 70,
+  osiemdziesiat: 80,
+  dziewiecdziesiat: 90,
+  sto: 100,
+};
+
+// "and" in the languages players type, dropped like "&"
+const CONJUNCTIONS = new Set(["and", "i", "und", "et", "y"]);
+
+/**
+ * Lowercase, accents folded ("Żółta" -> "zolta", "ł" -> "l") and, unless
+ * turned off, Cyrillic transliterated to Latin.
+ */
+export function foldText(str, { transliterate = true } = {}) {
+  let s = str.toLowerCase();
+  if (transliterate)
+    s = s.replace(/[\u0400-\u04ff]/g, (ch) => CYRILLIC[ch] ?? ch);
+  return s
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .replace(/[łđøßæœþı]/g, (ch) => SPECIAL_LETTERS[ch]);
+}
+
+// Number words become digits, "twenty one" / "dwadziescia jeden" -> "21"
+function numberTokens(tokens) {
+  const out = [];
+  let tens = false; // last token was a spelled-out 20, 30... 90
+  for (const token of tokens) {
+    const n = NUMBER_WORDS[token];
+    if (n !== undefined && n < 10 && tens) {
+      out[out.length - 1] = String(Number(out[out.length - 1]) + n);
+      tens = false;
+      continue;
+    }
+    out.push(n === undefined ? token : String(n));
+    tens = n >= 20 && n < 100;
+  }
+  return out;
+}
+
+/**
+ * Answer normalisation, applied the same way to guesses and targets:
+ * upload junk removed, accents folded, Cyrillic transliterated (unless
+ * `{ transliterate: false }`), number words turned into digits, "&" and
+ * an "and"/"i" between two words dropped, and a leading "the" too. Only
+ * letters, digits and single spaces remain.
+ */
+export function normalize(str, options) {
   if (!str) return "";
 
-  let s = str
-    // 1. Remove content inside parens/brackets first (e.g. "(prod. Rumak)")
-    .replace(/\(.*?\)|\[.*?\]|\{.*?\}/g, " ")
+  // 1. Remove content inside parens/brackets first (e.g. "(prod. Rumak)")
+  let s = foldText(str.replace(/\(.*?\)|\[.*?\]|\{.*?\}/g, " "), options)
     // 2. Remove typical "junk" phrases
-    .replace(/official\s*video|lyrics?|audio|remaster(ed)?|hd|hq|mv/gi, " ")
-    .replace(/feat\.?|ft\.?|prod\.?|produced\s*by/gi, " ")
-    // 3. Convert to lowercase
-    .toLowerCase();
+    .replace(
+      /\b(official\s*video|lyrics?|audio|remaster(ed)?|hd|hq|mv)\b/g,
+      " ",
+    )
+    .replace(/\b(feat|ft|prod)\b\.?|\bproduced\s*by\b/g, " ");
 
-  // 4. Keep only letters (unicode), numbers and spaces, convert everything else (punctuation) to space
+  // 3. Keep only letters (unicode), numbers and spaces, convert everything else (punctuation) to space
   s = s.replace(/[^\p{L}\p{N}\s]/gu, " ");
 
-  // 5. Collapse whitespace
-  s = s.replace(/\s+/g, " ").trim();
+  // 4. Same words for the same thing: digits, no "and", no leading "the".
+  // Only a conjunction between words goes: "I" in "I Want You" is a word
+  const tokens = numberTokens(s.split(/\s+/).filter(Boolean));
+  const words = tokens.filter(
+    (t, i) => !(CONJUNCTIONS.has(t) && i > 0 && i < tokens.length - 1),
+  );
+  if (words[0] === "the" && words.length > 1) words.shift();
+
+  // 5. Collapse whitespace (a title made only of dropped words keeps them)
+  return (words.length ? words : tokens).join(" ");
+}
+
+// Matching strictness, chosen per room. fuzzy: Dice coefficient that
+// counts as a match; overlap: share of the answer's words a guess must name;
+// coverage: share of the answer a partial guess ("bohemian") must cover;
+// close: best score that still earns a "you're close"
+export const MATCH_PROFILES = {
+  lenient: { fuzzy: 0.6, overlap: 0.5, coverage: 0.25, close: 0.35 },
+  normal: { fuzzy: 0.7, overlap: 0.7, coverage: 0.4, close: 0.45 },
+  strict: { fuzzy: 0.85, overlap: 1, coverage: 0.75, close: 0.55 },
+};
+
+// Shorter guesses only count when they are the whole answer
+export const MIN_GUESS_LENGTH = 2;
+
+const VERDICT_RANK = { wrong: 0, close: 1, correct: 2 };
+const WRONG = { verdict: "wrong", score: 0 };
+
+export function normalizeMatchProfile(profile) {
+  return Object.hasOwn(MATCH_PROFILES, profile || "") ? profile : "normal";
+}
+
+const longWords = (s) => s.split(" ").filter((x) => x.length > 2);
+// Whole words only, so "a" is not found in "abba"
+const containsWords = (text, part) => ` ${text} `.includes(` ${part} `);
+
+/**
+ * Grades a normalized guess against one normalized target:
+ * { verdict: "correct" | "close" | "wrong", score: 0..1 }.
+ * The score is the best of word coverage, answer words named and
+ * string similarity; the profile decides what is enough.
+ */
+export function gradeMatch(g, target, profile) {
+  const p = MATCH_PROFILES[normalizeMatchProfile(profile)];
+  if (!g || !target) return WRONG;
+  if (g === target) return { verdict: "correct", score: 1 };
+  if (g.length < MIN_GUESS_LENGTH) return WRONG;
+
+  // The whole answer inside a longer guess ("queen bohemian rhapsody")
+  if (containsWords(g, target)) return { verdict: "correct", score: 1 };
+
+  // Part of the answer only counts when it covers enough of it
+  const coverage = containsWords(target, g) ? g.length / target.length : 0;
+
+  const targetWords = longWords(target);
+  const guessWords = new Set(longWords(g));
+  const overlap = targetWords.length
+    ? targetWords.filter((w) => guessWords.has(w)).length / targetWords.length
+    : 0;
+
+  const fuzzy = stringSimilarity.compareTwoStrings(g, target);
+
+  const correct =
+    coverage >= p.coverage || overlap >= p.overlap || fuzzy >= p.fuzzy;
+  const score = Math.round(Math.max(coverage, overlap, fuzzy) * 100) / 100;
+  return {
+    verdict: correct ? "correct" : score >= p.close ? "close" : "wrong",
+    score,
+  };
+}
 
-  return s;
+// Best grade of a guess against any of the targets
+function bestGrade(g, targets, profile) {
+  return targets.reduce((best, target) => {
+    const grade = gradeMatch(g, target, profile);
+    const diff = VERDICT_RANK[grade.verdict] - VERDICT_RANK[best.verdict];
+    return diff > 0 || (diff === 0 && grade.score > best.score) ? grade : best;
+  }, WRONG);
 }
 
 /**
  * Main function for automated guessing (text mode)
+ * `aliases` ({ title: [], artist: [] }, see aliases.js) are accepted too.
  */
-export function isGuessCorrect(guess, title, artist) {
-  const g = normalize(guess);
-  const t = normalize(title);
-  const a = normalize(artist || "");
-
-  if (!g) return false;
-
-  // Check if guess matches either normalized full title or artist
-  if (t && (g.includes(t) || t.includes(g))) return true;
-  if (a && (g.includes(a) || a.includes(g))) return true;
-
-  // Token based check
-  const gTokens = new Set(g.split(" ").filter((x) => x.length > 2));
-  const tTokens = new Set(t.split(" ").filter((x) => x.length > 2));
-  const aTokens = new Set(a.split(" ").filter((x) => x.length > 2));
-
-  function hasHighOverlap(set1, set2) {
-    if (set1.size === 0 || set2.size === 0) return false;
-    const overlap = [...set1].filter((x) => set2.has(x)).length;
-    return overlap / set1.size >= 0.7 || overlap / set2.size >= 0.7;
+export function isGuessCorrect(
+  guess,
+  title,
+  artist,
+  aliases = {},
+  { profile } = {},
+) {
+  const targets = [
+    title,
+    artist,
+    ...(aliases.title || []),
+    ...(aliases.artist || []),
+  ].map((t) => normalize(t || ""));
+  return bestGrade(normalize(guess), targets, profile).verdict === "correct";
+}
+
+// Separators players use between artist and title ("Queen - Bohemian Rhapsody")
+const GUESS_SEPARATOR = /\s+[-–—|:]\s+|\s+by\s+/i;
+
+/**
+ * Splits a single text-mode answer into artist/title candidates.
+ * The whole text is always checked against both parts, since separators
+ * also occur inside titles ("Stand by Me"); with a separator both orders
+ * of the split are tried as well.
+ */
+export function splitGuess(text) {
+  const raw = (text || "").trim();
+  if (!raw) return [];
+  const whole = { artist: raw, title: raw };
+  const parts = raw.split(GUESS_SEPARATOR).map((p) => p.trim());
+  if (parts.length === 2 && parts[0] && parts[1]) {
+    return [
+      { artist: parts[0], title: parts[1] },
+      { artist: parts[1], title: parts[0] },
+      whole,
+    ];
   }
+  return [whole];
+}
 
-  if (hasHighOverlap(gTokens, tTokens)) return true;
-  if (hasHighOverlap(gTokens, aTokens)) return true;
+/**
+ * What a player learns about their own guess: which parts are right or
+ * close, never the score, which would let them home in on the answer.
+ */
+export function getGuessFeedback({
+  artistCorrect,
+  titleCorrect,
+  artistClose,
+  titleClose,
+  result,
+}) {
+  return { artistCorrect, titleCorrect, artistClose, titleClose, result };
+}
 
-  const fuzzy = Math.max(
-    t ? stringSimilarity.compareTwoStrings(g, t) : 0,
-    a ? stringSimilarity.compareTwoStrings(g, a) : 0,
-  );
+/**
+ * Text mode verification: artist and title are judged separately so that
+ * partial answers can be credited. Unlike getDetailedMatch there is no
+ * artist/title swap check, otherwise naming the artist would count as the title.
+ * `result` grades the whole guess: "correct" once the title is right,
+ * "close" when either part nearly is; `score` is the title's best score.
+ * `guess` is the { artist, title } reading of the guess that was judged.
+ */
+export function matchTextGuess(
+  { text, artist, title },
+  targetArtist,
+  targetTitle,
+  aliases = {},
+  { profile } = {},
+) {
+  const candidates =
+    artist || title
+      ? [{ artist: artist || "", title: title || "" }]
+      : splitGuess(text);
 
-  return fuzzy >= 0.65;
+  const normA = normalize(targetArtist || "");
+  const normT = normalize(targetTitle || "");
+  let cleanT = normT;
+  if (normA && normT.includes(normA)) cleanT = normT.replace(normA, "").trim();
+
+  // YouTube titles often look like "Artist - Title": the prefix is another
+  // artist candidate and only the rest should count as the title.
+  // "Title - Radio Edit" is a title with a version note, which alone is no answer.
+  const [titlePrefix, ...titleRest] = (targetTitle || "").split(/\s+[-–—]\s+/);
+  const rest = titleRest.join(" ");
+  const artistPrefix = !!rest && !isVersionNote(rest);
+  const titleArtist = artistPrefix ? normalize(titlePrefix) : "";
+  let mainTitles = [normT, cleanT];
+  if (artistPrefix) mainTitles = [normalize(rest)];
+  else if (rest) mainTitles = [normalize(titlePrefix)];
+  const titleTargets = [...mainTitles, ...(aliases.title || []).map(normalize)];
+  const artistTargets = [
+    normA,
+    titleArtist,
+    ...(aliases.artist || []).map(normalize),
+  ];
+
+  const rank = ({ artist, title }) =>
+    VERDICT_RANK[title.verdict] * 3 +
+    VERDICT_RANK[artist.verdict] +
+    (title.score + artist.score) / 10;
+
+  let best = { artist: WRONG, title: WRONG, guess: candidates[0] };
+  for (const c of candidates) {
+    const graded = {
+      artist: bestGrade(normalize(c.artist), artistTargets, profile),
+      title: bestGrade(normalize(c.title), titleTargets, profile),
+      guess: c,
+    };
+    if (rank(graded) > rank(best)) best = graded;
+  }
+
+  const titleCorrect = best.title.verdict === "correct";
+  const artistClose = best.artist.verdict === "close";
+  const titleClose = best.title.verdict === "close";
+  return {
+    artistCorrect: best.artist.verdict === "correct",
+    titleCorrect,
+    artistClose,
+    titleClose,
+    result: titleCorrect
+      ? "correct"
+      : titleClose || artistClose
+        ? "close"
+        : "wrong",
+    score: best.title.score,
+    guess: best.guess,
+  };
 }
 
 /**
  * Detailed verification used by the Host in Buzzer Mode
+ * Every alias ({ title: [], artist: [] }) counts like the target itself.
  */
 export function getDetailedMatch(
   guessArtist,
   guessTitle,
   targetArtist,
   targetTitle,
+  aliases = {},
+  { profile } = {},
 ) {
-  const normGA = normalize(guessArtist);
-  const normGT = normalize(guessTitle);
   const normA = normalize(targetArtist || "");
   const normT = normalize(targetTitle || "");
 
@@ -82,45 +416,24 @@ export function getDetailedMatch(
     cleanT = normT.replace(normA, "").trim();
   }
 
-  function check(guess, primaryTarget, secondaryTarget, backupTarget) {
-    if (!guess) return false;
-
-    // Normalize targets again just in case (though they should be already)
-    const t1 = normalize(primaryTarget);
-    const t2 = normalize(secondaryTarget);
-    const t3 = normalize(backupTarget);
-
-    function isMatch(g, target) {
-      if (!target) return false;
-      if (g === target) return true;
-      if (g.includes(target) || target.includes(g)) return true;
-
-      // Token match
-      const gTokens = g.split(" ").filter((x) => x.length > 2);
-      const tTokens = target.split(" ").filter((x) => x.length > 2);
-      if (gTokens.length > 0 && tTokens.length > 0) {
-        const overlap = gTokens.filter((val) => tTokens.includes(val)).length;
-        if (overlap / gTokens.length >= 0.7 || overlap / tTokens.length >= 0.7)
-          return true;
-      }
-
-      // Fuzzy
-      if (stringSimilarity.compareTwoStrings(g, target) >= 0.7) return true;
-      return false;
-    }
-
-    if (isMatch(guess, t1)) return true;
-    if (isMatch(guess, t2)) return true;
-    if (isMatch(guess, t3)) return true;
-
-    return false;
-  }
-
   // Verify Artist: Check against Target Artist and Target Title (in case they swapped or it's mixed)
-  const artistCorrect = check(normGA, normA, normT, targetTitle);
+  const artist = bestGrade(
+    normalize(guessArtist),
+    [normA, normT, ...(aliases.artist || []).map(normalize)],
+    profile,
+  );
 
   // Verify Title: Check against normalized Title, "Cleaned" Title, and Target Artist (swap check)
-  const titleCorrect = check(normGT, normT, cleanT, targetArtist);
+  const title = bestGrade(
+    normalize(guessTitle),
+    [normT, cleanT, normA, ...(aliases.title || []).map(normalize)],
+    profile,
+  );
 
-  return { artistCorrect, titleCorrect };
+  return {
+    artistCorrect: artist.verdict === "correct",
+    titleCorrect: title.verdict === "correct",
+    artistClose: artist.verdict === "close",
+    titleClose: title.verdict === "close",
+  };
 }
@@ -0,0 +1,71 @@
+import { getTrackYear } from "./hints.js";
+
+// Year rounds: the song and its title are given away, players guess when it
+// came out. A whole game can be played this way or they can be mixed into
+// a regular game as bonus rounds.
+
+// "year": exact year, "decade": one of the decades
+export const YEAR_GUESS_MODES = ["year", "decade"];
+// Every Nth round of a regular game can be a bonus year round (0 = never);
+// every round would make it a year game
+const MIN_BONUS_INTERVAL = 2;
+const MAX_BONUS_INTERVAL = 20;
+
+const MIN_YEAR = 1900;
+const MAX_YEAR_POINTS = 10;
+// Year mode: points lost for every year off
+const POINTS_PER_YEAR_OFF = 2;
+// Decade mode: right decade, one decade off
+const DECADE_POINTS = [MAX_YEAR_POINTS, 4];
+
+export function normalizeYearGuessMode(mode) {
+  return YEAR_GUESS_MODES.includes(mode) ? mode : "year";
+}
+
+export function normalizeYearBonus(every) {
+  const n = Math.round(Number(every));
+  return Number.isFinite(n) && n >= MIN_BONUS_INTERVAL
+    ? Math.min(MAX_BONUS_INTERVAL, n)
+    : 0;
+}
+
+// Only tracks with a known release year can be played as year rounds
+export function hasReleaseYear(track) {
+  return !!getTrackYear(track);
+}
+
+/**
+ * Whether the round at `index` (0-based) is a year round. Bonus rounds are
+ * left out of sudden death, where a tie has to be settled by the regular game.
+ */
+export function isYearRound(room, index, track) {
+  if (!hasReleaseYear(track)) return false;
+  if (room.gameType === "year") return true;
+  if (room.tiebreak) return false;
+  const every = room.yearBonusEvery || 0;
+  return every > 0 && (index + 1) % every === 0;
+}
+
+// Guessed year, or the first year of the guessed decade; null when invalid
+export function parseYearGuess(value, mode) {
+  const year = Math.round(Number(value));
+  if (!Number.isFinite(year)) return null;
+  if (year < MIN_YEAR || year > new Date().getFullYear() + 1) return null;
+  return mode === "decade" ? year - (year % 10) : year;
+}
+
+/**
+ * Points for a guess: 10 for the exact year, 2 fewer for every year off
+ * (nothing from 5 years off). Decade guesses get 10 for the right decade
+ * and 4 for a neighbouring one.
+ */
+export function getYearPoints(guess, actual, mode) {
+  if (mode === "decade") {
+    const off = Math.abs(Math.floor(guess / 10) - Math.floor(actual / 10));
+    return DECADE_POINTS[off] ?? 0;
+  }
+  return Math.max(
+    0,
+    MAX_YEAR_POINTS - POINTS_PER_YEAR_OFF * Math.abs(guess - actual),
+  );
+}
@@ -0,0 +1,94 @@
+// Answer metadata from YouTube video titles, which mix the artist, the song
+// and upload noise: "Artist - Title (feat. X) [Official Video]".
+
+// Bracketed or trailing parts that only describe the upload
+const JUNK =
+  /\b(official|oficjaln\w*|video|audio|lyrics?|visuali[sz]er|m\/?v|hd|hq|4k|remaster(ed)?|clip|teledysk|tekst|napisy|explicit|full album|prod)\b/i;
+const BRACKETED = /\s*(\(([^()]*)\)|\[([^[\]]*)\]|【([^【】]*)】)/g;
+const ARTIST_SEPARATOR = /\s+[-–—~]\s+/;
+const PIPE_SEPARATOR = /\s+[|｜]\s+/;
+// Unbracketed tags stuck to the end of a title: "GANGNAM STYLE M/V"
+const TRAILING_TAG = /\s+(m\/?v|hd|hq|4k)$/i;
+const FEAT =
+  /\s*[([]?\s*\b(?:feat|ft|featuring)\b\.?\s+([^()[\]]+?)\s*[)\]]?\s*$/i;
+const FEAT_NAME_SEPARATOR = /\s*(?:,|&|\band\b|\bx\b)\s*/i;
+// Auto-generated "Artist - Topic" channels upload plain song titles
+const TOPIC = /\s+-\s+topic$/i;
+
+/**
+ * Artist name from an uploader: drops "- Topic", "VEVO" and "Official"
+ * suffixes. VEVO names are run together ("TaylorSwiftVEVO"), so they get
+ * their spaces back.
+ */
+export function cleanChannelName(channel) {
+  let name = (channel || "").trim().replace(TOPIC, "");
+  if (/vevo$/i.test(name)) {
+    name = name.replace(/\s*vevo$/i, "").replace(/(\p{Ll})(\p{Lu})/gu, "$1 $2");
+  }
+  return name.replace(/\s+official(\s+(artist\s+)?channel)?$/i, "").trim();
+}
+
+function stripJunk(text) {
+  let s = text
+    .replace(BRACKETED, (match, _, ...groups) =>
+      groups.slice(0, 3).some((g) => g && JUNK.test(g)) ? "" : match,
+    )
+    .replace(TRAILING_TAG, "");
+  // "Title | Official Video", "Title - Remastered 2011"
+  s = s
+    .split(PIPE_SEPARATOR)
+    .filter((part, i) => i === 0 || !JUNK.test(part))
+    .join(" | ");
+  const parts = s.split(ARTIST_SEPARATOR);
+  while (parts.length > 1 && JUNK.test(parts[parts.length - 1])) parts.pop();
+  return parts.join(" - ").trim();
+}
+
+// Moves a trailing "feat. A, B & C" into the list, returns what is left
+function takeFeaturing(text, featuring) {
+  const m = FEAT.exec(text);
+  if (!m) return text;
+  featuring.push(
+    ...m[1]
+      .split(FEAT_NAME_SEPARATOR)
+      .map((n) => n.trim())
+      .filter(Boolean),
+  );
+  return text.slice(0, m.index).trim();
+}
+
+function stripQuotes(text) {
+  return text.replace(/^["'“”„‘’]+|["'“”„‘’]+$/g, "").trim();
+}
+
+/**
+ * Splits a video title into { title, artist, featuring, rawTitle }.
+ * "Artist - Title" titles give both parts; otherwise the whole (cleaned)
+ * title is the song and the channel the artist. Falls back to the raw
+ * title rather than returning an empty answer.
+ */
+export function parseYouTubeTitle(rawTitle, channel = "") {
+  const raw = (rawTitle || "").trim();
+  const featuring = [];
+  const text = stripJunk(raw);
+
+  let artist = cleanChannelName(channel);
+  let title = text;
+  if (!TOPIC.test(channel || "")) {
+    const [first, ...rest] = text.split(ARTIST_SEPARATOR);
+    if (rest.length && first.trim()) {
+      artist = first;
+      title = rest.join(" - ");
+    }
+  }
+
+  title = stripQuotes(takeFeaturing(title, featuring));
+  artist = takeFeaturing(artist, featuring);
+
+  return {
+    title: title || raw,
+    artist,
+    featuring,
+    rawTitle: raw,
+  };
+}
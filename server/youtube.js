@@ -1,4 +1,8 @@
 import axios from "axios";
+import { playlistCache } from "./cache.js";
+import { parseYouTubeTitle } from "./youtube-title.js";
+
+const PLAYLIST_CACHE_TTL_MS = 6 * 60 * 60 * 1000;
 
 export function parseYouTubePlaylistId(url) {
   // Accept: https://www.youtube.com/playlist?list=PLxxxx OR
@@ -13,24 +17,17 @@ export function parseYouTubePlaylistId(url) {
   return null;
 }
 
-export async function fetchYouTubePlaylist({ url, apiKey }) {
-  const id = parseYouTubePlaylistId(url);
-  if (!id) throw new Error("Nieprawidłowy link do playlisty YouTube.");
-
-  // Fetch playlist info (for name)
-  const playlistInfoResp = await axios.get(
-    "https://www.googleapis.com/youtube/v3/playlists",
-    {
-      params: {
-        part: "snippet",
-        id,
-        key: apiKey,
-      },
-    },
-  );
-  const playlistName =
-    playlistInfoResp.data.items?.[0]?.snippet?.title || "YouTube Playlist";
+// contentDetails.duration is ISO 8601, e.g. "PT3M45S" or "PT1H2M"
+export function parseIsoDuration(iso) {
+  const m = /^PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/.exec(iso || "");
+  if (!m) return null;
+  const [, h = 0, min = 0, sec = 0] = m;
+  return ((+h * 60 + +min) * 60 + +sec) * 1000 || null;
+}
 
+// Videos as the API returns them; answers are parsed from the titles later,
+// so cached lists pick up parser changes
+async function fetchPlaylistVideos(id, apiKey) {
   // Page through playlistItems to get videoIds
   let videoIds = [];
   let pageToken = null;
@@ -54,37 +51,84 @@ export async function fetchYouTubePlaylist({ url, apiKey }) {
     pageToken = resp.data.nextPageToken;
   } while (pageToken);
 
-  // Fetch snippets in batches of 50 for titles/artists
-  let tracks = [];
+  // Fetch snippets in batches of 50 for titles/channels (and lengths)
+  let videos = [];
   for (let i = 0; i < videoIds.length; i += 50) {
     const batch = videoIds.slice(i, i + 50);
     const resp = await axios.get(
       "https://www.googleapis.com/youtube/v3/videos",
       {
         params: {
-          part: "snippet",
+          part: "snippet,contentDetails",
           id: batch.join(","),
           key: apiKey,
         },
       },
     );
     const items = resp.data.items || [];
-    tracks.push(
+    videos.push(
       ...items.map((v) => ({
         id: v.id,
-        title: v.snippet.title,
-        artist: v.snippet.channelTitle || "",
+        videoTitle: v.snippet.title,
+        channel: v.snippet.channelTitle || "",
+        durationMs: parseIsoDuration(v.contentDetails?.duration),
         cover:
           (v.snippet.thumbnails &&
             (v.snippet.thumbnails.maxres?.url ||
               v.snippet.thumbnails.high?.url ||
               v.snippet.thumbnails.default?.url)) ||
           null,
-        source: "youtube",
       })),
     );
   }
 
+  return videos;
+}
+
+function videoToTrack({ videoTitle, channel, ...video }) {
+  const { title, artist, featuring, rawTitle } = parseYouTubeTitle(
+    videoTitle,
+    channel,
+  );
+  return {
+    ...video,
+    title,
+    artist,
+    ...(featuring.length && { featuring }),
+    rawTitle,
+    source: "youtube",
+  };
+}
+
+export async function fetchYouTubePlaylist({ url, apiKey }) {
+  const id = parseYouTubePlaylistId(url);
+  if (!id) throw new Error("Nieprawidłowy link do playlisty YouTube.");
+
+  // Fetch playlist info (for name)
+  const playlistInfoResp = await axios.get(
+    "https://www.googleapis.com/youtube/v3/playlists",
+    {
+      params: {
+        part: "snippet,contentDetails",
+        id,
+        key: apiKey,
+      },
+    },
+  );
+  const playlistName =
+    playlistInfoResp.data.items?.[0]?.snippet?.title || "YouTube Playlist";
+
+  // The ETag follows the item count; swapped videos only show after the TTL
+  const videos = await playlistCache.getOrLoad(
+    `youtube:playlist-videos:${id}`,
+    () => fetchPlaylistVideos(id, apiKey),
+    {
+      version: playlistInfoResp.data.items?.[0]?.etag,
+      ttl: PLAYLIST_CACHE_TTL_MS,
+    },
+  );
+  const tracks = videos.map(videoToTrack);
+
   return {
     source: "youtube",
     playlistId: id,